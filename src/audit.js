@@ -0,0 +1,141 @@
+const FILTER_FIELDS = ['school', 'yearGroup', 'wave', 'ethnicity'];
+const PROBE_LIMIT = 3;
+const BURST_WINDOW_MS = 60 * 1000;
+const BURST_LIMIT = 20;
+
+/**
+ * Snapshot of one dynamic query for the audit log. Only parameters and result-cell sizes are kept;
+ * the released values themselves are not logged.
+ */
+export function createAuditEntry(query, { id, seed, timestamp = new Date().toISOString() }) {
+  const cellSizes = query.rows.map((row) => row.n);
+  const visibleSizes = query.rows.filter((row) => !row.suppressed).map((row) => row.n);
+  return {
+    id,
+    timestamp,
+    seed,
+    datasetFingerprint: query.fingerprint,
+    filters: Object.fromEntries(FILTER_FIELDS.map((field) => [field, query.filters[field] ?? 'all'])),
+    groupingFields: [...query.groupingFields],
+    suppressionThreshold: query.suppressionThreshold,
+    valueFilter: query.valueFilterActive
+        ? {
+          surveyId: query.filters.thresholdSurveyId,
+          comparator: query.filters.comparator,
+          value: Number(query.filters.surveyValue),
+        }
+        : null,
+    privacy: query.privacy || null,
+    missingData: query.missingData || null,
+    refused: Boolean(query.refused),
+    cellCount: cellSizes.length,
+    suppressedCells: query.rows.filter((row) => row.suppressed).length,
+    minVisibleN: visibleSizes.length ? Math.min(...visibleSizes) : null,
+    cellSizes,
+  };
+}
+
+export function auditSignature(entry) {
+  return JSON.stringify([
+    entry.datasetFingerprint,
+    entry.filters,
+    entry.groupingFields,
+    entry.suppressionThreshold,
+    entry.valueFilter,
+    entry.privacy,
+    entry.missingData,
+    entry.refused,
+  ]);
+}
+
+export function toJsonl(entries) {
+  return entries.map((entry) => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+}
+
+function sameShape(a, b) {
+  return a.datasetFingerprint === b.datasetFingerprint
+      && JSON.stringify([...a.groupingFields].sort()) === JSON.stringify([...b.groupingFields].sort());
+}
+
+/**
+ * Flag query patterns that look like a tracker or differencing attack:
+ * - pairs of queries that differ in a single filter value (a filter against "all" is a classic tracker),
+ * - otherwise identical queries re-run with a lower suppression threshold,
+ * - repeated value-comparator probes narrowing in on the same cells,
+ * - bursts of queries in a short window.
+ * Queries refused by the privacy budget released nothing, so they only count towards bursts.
+ */
+export function detectTrackerPatterns(entries) {
+  const warnings = [];
+  const unique = [];
+  const seen = new Set();
+  entries.forEach((entry) => {
+    if (entry.refused) return;
+    const signature = auditSignature(entry);
+    if (seen.has(signature)) return;
+    seen.add(signature);
+    unique.push(entry);
+  });
+
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) {
+      const a = unique[i];
+      const b = unique[j];
+      if (!sameShape(a, b)) continue;
+      const filterDiffs = FILTER_FIELDS.filter((field) => a.filters[field] !== b.filters[field]);
+      const sameSettings = JSON.stringify(a.valueFilter) === JSON.stringify(b.valueFilter);
+      if (filterDiffs.length === 1 && sameSettings && a.suppressionThreshold === b.suppressionThreshold) {
+        const field = filterDiffs[0];
+        const tracker = a.filters[field] === 'all' || b.filters[field] === 'all';
+        warnings.push({
+          kind: tracker ? 'tracker' : 'single-filter-difference',
+          severity: tracker ? 'error' : 'warning',
+          entryIds: [a.id, b.id],
+          message: tracker
+              ? `Queries #${a.id} and #${b.id} differ only by ${field} = ${a.filters[field] === 'all' ? b.filters[field] : a.filters[field]} vs all; subtracting them isolates the complement.`
+              : `Queries #${a.id} and #${b.id} differ only in ${field} (${a.filters[field]} vs ${b.filters[field]}).`,
+        });
+      }
+      if (filterDiffs.length === 0 && sameSettings && a.suppressionThreshold !== b.suppressionThreshold) {
+        warnings.push({
+          kind: 'threshold-lowered',
+          severity: 'error',
+          entryIds: [a.id, b.id],
+          message: `Queries #${a.id} and #${b.id} repeat the same selection with suppression thresholds ${a.suppressionThreshold} and ${b.suppressionThreshold}; cells hidden by one are visible in the other.`,
+        });
+      }
+    }
+  }
+
+  const probes = new Map();
+  unique.filter((entry) => entry.valueFilter).forEach((entry) => {
+    const key = JSON.stringify([entry.datasetFingerprint, entry.filters, entry.groupingFields, entry.suppressionThreshold, entry.valueFilter.surveyId]);
+    if (!probes.has(key)) probes.set(key, []);
+    probes.get(key).push(entry);
+  });
+  probes.forEach((group) => {
+    if (group.length < PROBE_LIMIT) return;
+    warnings.push({
+      kind: 'value-probing',
+      severity: 'warning',
+      entryIds: group.map((entry) => entry.id),
+      message: `${group.length} queries (#${group.map((e) => e.id).join(', #')}) only move the ${group[0].valueFilter.surveyId} comparator threshold; together they bracket cell means.`,
+    });
+  });
+
+  const times = entries.map((entry) => Date.parse(entry.timestamp));
+  for (let start = 0, end = 0; end < entries.length; end++) {
+    while (times[end] - times[start] > BURST_WINDOW_MS) start += 1;
+    if (end - start + 1 > BURST_LIMIT) {
+      warnings.push({
+        kind: 'burst',
+        severity: 'warning',
+        entryIds: entries.slice(start, end + 1).map((entry) => entry.id),
+        message: `More than ${BURST_LIMIT} queries within a minute (#${entries[start].id}–#${entries[end].id}).`,
+      });
+      start = end + 1;
+    }
+  }
+
+  return warnings;
+}
@@ -0,0 +1,112 @@
+import {DEFAULT_SUPPRESSION_THRESHOLD, smallCountsToWithhold} from './data.js';
+import {isAnswered} from './missing.js';
+
+export const CHANGE_CATEGORIES = [
+  { id: 'improved', name: 'Improved' },
+  { id: 'unchanged', name: 'No reliable change' },
+  { id: 'deteriorated', name: 'Deteriorated' },
+];
+
+/*
+ * Jacobson–Truax: the standard error of a difference between two scores is √2 · SD · √(1 − r), and
+ * a change is reliable when it exceeds 1.96 of those (|RCI| ≥ 1.96).
+ */
+export function standardErrorOfDifference(survey) {
+  const { coefficient, sd } = survey.reliability;
+  return Math.SQRT2 * sd * Math.sqrt(1 - coefficient);
+}
+
+export function reliableChangeThreshold(survey) {
+  return 1.96 * standardErrorOfDifference(survey);
+}
+
+function isCase(survey, total) {
+  return survey.higherIsWorse ? total >= survey.clinicalCutoff : total <= survey.clinicalCutoff;
+}
+
+/**
+ * Reliable change of one survey total between two waves for every UID scored in both. `rci` is
+ * positive for a change in the better direction of the instrument. A reliable improvement that
+ * also moves a case (at or past the clinical cut-off) out of caseness counts as recovered.
+ */
+export function computeReliableChange(responses, survey, fromWave, toWave) {
+  const byUid = new Map();
+  responses.forEach((response) => {
+    if (response.wave !== fromWave && response.wave !== toWave) return;
+    if (!byUid.has(response.uid)) byUid.set(response.uid, {});
+    byUid.get(response.uid)[response.wave === fromWave ? 'from' : 'to'] = response;
+  });
+  const sdiff = standardErrorOfDifference(survey);
+  const key = `${survey.id}-total`;
+  const rows = [];
+  byUid.forEach(({ from, to }, uid) => {
+    if (!from || !to || !isAnswered(from[key]) || !isAnswered(to[key])) return;
+    const change = to[key] - from[key];
+    const rci = (survey.higherIsWorse ? -change : change) / sdiff;
+    let category = 'unchanged';
+    if (rci >= 1.96) category = 'improved';
+    if (rci <= -1.96) category = 'deteriorated';
+    const caseBefore = survey.clinicalCutoff === null ? null : isCase(survey, from[key]);
+    const caseAfter = survey.clinicalCutoff === null ? null : isCase(survey, to[key]);
+    rows.push({
+      uid,
+      schoolId: from.schoolId,
+      yearGroup: from.yearGroup,
+      ethnicity: from.ethnicity,
+      from: from[key],
+      to: to[key],
+      change,
+      rci: Number(rci.toFixed(2)),
+      category,
+      caseBefore,
+      caseAfter,
+      recovered: category === 'improved' && caseBefore === true && caseAfter === false,
+    });
+  });
+  return rows.sort((a, b) => a.uid.localeCompare(b.uid));
+}
+
+/**
+ * Improved / unchanged / deteriorated counts per group (plus recovered, a subset of improved).
+ * Counts below the threshold are withheld (null) together with the next smallest category when only
+ * one would be; groups with fewer than `threshold` students are suppressed entirely.
+ */
+export function summariseChange(rows, field, { threshold = DEFAULT_SUPPRESSION_THRESHOLD, groupOf } = {}) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = groupOf ? groupOf(row) : field ? row[field] : 'All students';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([group, entries]) => {
+        const counts = Object.fromEntries(CHANGE_CATEGORIES.map((category) => [
+          category.id,
+          entries.filter((row) => row.category === category.id).length,
+        ]));
+        const recovered = entries.filter((row) => row.recovered).length;
+        if (entries.length < threshold) {
+          return {
+            group,
+            n: entries.length,
+            ...Object.fromEntries(CHANGE_CATEGORIES.map((category) => [category.id, null])),
+            recovered: null,
+            suppressed: true,
+            suppressionType: 'primary',
+            notes: `Suppressed: fewer than ${threshold} students`,
+          };
+        }
+        const withheld = smallCountsToWithhold(Object.entries(counts), threshold);
+        const released = Object.fromEntries(Object.entries(counts).map(([id, count]) => [id, withheld.has(id) ? null : count]));
+        return {
+          group,
+          n: entries.length,
+          ...released,
+          recovered: recovered > 0 && recovered < threshold ? null : recovered,
+          suppressed: false,
+          suppressionType: null,
+          notes: withheld.size > 0 ? `Counts below ${threshold} withheld` : '',
+        };
+      });
+}
@@ -1,10 +1,14 @@
+import {bandKey, itemKey, itemNumbers, resolveInstrument, scoredFields} from './instruments.js';
+import {applyMissingDataStrategy, DEFAULT_MISSING_DATA, isAnswered, normalizeMissingData} from './missing.js';
+import {DEFAULT_INTERVALS, meanInterval, normalizeIntervals, proportionInterval} from './intervals.js';
+
 const ttps = [
-  { id: 'oxford-ttp', name: 'Oxford Secure TTP' },
-  { id: 'shanghai-ttp', name: 'Shanghai Harmony TTP' },
+  { id: 'oxford-ttp', name: 'Oxford Secure TTP', ethnicity: 'british' },
+  { id: 'shanghai-ttp', name: 'Shanghai Harmony TTP', ethnicity: 'chinese' },
 ];
 
-const ttpNamePools = {
-  'oxford-ttp': {
+const namePools = {
+  british: {
     first: [
       'Alice',
       'Benjamin',
@@ -50,7 +54,7 @@ const ttpNamePools = {
       'Turner'
     ]
   },
-  'shanghai-ttp': {
+  chinese: {
     first: [
       'An',
       'Bao',
@@ -109,15 +113,7 @@ const schools = [
 
 const yearGroups = ['Year 9', 'Year 10', 'Year 11'];
 const waves = ['Wave 1', 'Wave 2', 'Wave 3'];
-const surveys = [
-  { id: 'phq9', name: 'PHQ-9', items: 9 },
-  { id: 'gad7', name: 'GAD-7', items: 7 }
-];
-
-const ethnicityByTtp = {
-  'oxford-ttp': 'british',
-  'shanghai-ttp': 'chinese',
-};
+const surveys = ['phq9', 'gad7'].map(resolveInstrument);
 
 const oppositeEthnicity = {
   british: 'chinese',
@@ -139,8 +135,119 @@ const unicornNames = [
   'Bramble Shine',
 ];
 
+const cohortSize = { min: 8, max: 13 };
+
+export const DEFAULT_SCENARIO = {
+  ttps,
+  schools,
+  yearGroups,
+  waves,
+  surveys,
+  namePools,
+  oppositeEthnicity,
+  unicornNames,
+  cohortSize,
+  missingData: DEFAULT_MISSING_DATA,
+  intervals: DEFAULT_INTERVALS,
+};
+
+const authorityTowns = {
+  'oxford-ttp': ['Abingdon', 'Banbury', 'Bicester', 'Carterton', 'Didcot', 'Henley', 'Kidlington', 'Thame', 'Wallingford', 'Witney'],
+  'shanghai-ttp': ['Baoshan', 'Fengxian', 'Jiading', 'Jing\'an', 'Minhang', 'Putuo', 'Qingpu', 'Songjiang', 'Xuhui', 'Yangpu'],
+};
+const authoritySchoolKinds = ['Academy', 'High School', 'Community School', 'Grammar School'];
+
+/*
+ * A scenario sized like a whole local authority: 40 schools per TTP with cohorts of 120–180, which
+ * is about 36,000 students and 100,000 responses across the three waves. Scenario links refer to
+ * the school list as 'local-authority' rather than spelling out all 80 schools.
+ */
+export const LOCAL_AUTHORITY_SCHOOLS = ttps.flatMap((ttp) => authorityTowns[ttp.id].flatMap((town) => (
+  authoritySchoolKinds.map((kind) => ({ id: slugify(`${town} ${kind}`), name: `${town} ${kind}`, ttpId: ttp.id }))
+)));
 
-function createSeededRandom(seed = 1) {
+export const LOCAL_AUTHORITY_SCENARIO = {
+  ...DEFAULT_SCENARIO,
+  schools: LOCAL_AUTHORITY_SCHOOLS,
+  cohortSize: { min: 120, max: 180 },
+};
+
+/* Scenarios expected to generate more students than this are built in a worker with progress. */
+export const LARGE_SCALE_STUDENTS = 5000;
+
+/*
+ * Upper bounds on a scenario's size. At the limits a build is about 140,000 students and 840,000
+ * responses, which still fits in a browser tab; the local authority preset is well inside them.
+ */
+export const SCENARIO_LIMITS = { schools: 100, yearGroups: 7, waves: 6, cohortSize: 200 };
+
+export function estimateStudentCount({ schools, yearGroups, cohortSize }) {
+  return Math.round(schools.length * yearGroups.length * ((cohortSize.min + cohortSize.max) / 2));
+}
+
+export function slugify(value) {
+  return String(value)
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Fill a partial scenario from the defaults and check it is internally consistent.
+ * Throws an Error describing the first problem found.
+ */
+export function normalizeScenario(scenario = {}) {
+  const resolved = { ...DEFAULT_SCENARIO, ...scenario };
+  if (resolved.schools === 'local-authority') resolved.schools = LOCAL_AUTHORITY_SCHOOLS;
+  const min = Number(resolved.cohortSize?.min);
+  const max = Number(resolved.cohortSize?.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+    throw new Error('Cohort size needs whole numbers with 1 ≤ min ≤ max');
+  }
+  if (max > SCENARIO_LIMITS.cohortSize) throw new Error(`Cohort size can be at most ${SCENARIO_LIMITS.cohortSize} students`);
+  if (resolved.ttps.length === 0) throw new Error('At least one TTP is required');
+  if (resolved.schools.length === 0) throw new Error('At least one school is required');
+  if (resolved.yearGroups.length === 0) throw new Error('At least one yeargroup is required');
+  if (resolved.waves.length === 0) throw new Error('At least one wave is required');
+  if (resolved.schools.length > SCENARIO_LIMITS.schools) throw new Error(`At most ${SCENARIO_LIMITS.schools} schools are supported`);
+  if (resolved.yearGroups.length > SCENARIO_LIMITS.yearGroups) throw new Error(`At most ${SCENARIO_LIMITS.yearGroups} yeargroups are supported`);
+  if (resolved.waves.length > SCENARIO_LIMITS.waves) throw new Error(`At most ${SCENARIO_LIMITS.waves} waves are supported`);
+  if (resolved.surveys.length === 0) throw new Error('At least one survey is required');
+  resolved.surveys = resolved.surveys.map(resolveInstrument);
+  resolved.missingData = normalizeMissingData(resolved.missingData);
+  resolved.intervals = normalizeIntervals(resolved.intervals);
+
+  const checkUnique = (values, what) => {
+    const seen = new Set();
+    for (const value of values) {
+      if (!value) throw new Error(`Every ${what} needs a non-empty id`);
+      if (seen.has(value)) throw new Error(`Duplicate ${what}: ${value}`);
+      seen.add(value);
+    }
+  };
+  checkUnique(resolved.ttps.map((t) => t.id), 'TTP');
+  checkUnique(resolved.schools.map((s) => s.id), 'school');
+  checkUnique(resolved.yearGroups, 'yeargroup');
+  checkUnique(resolved.waves, 'wave');
+  checkUnique(resolved.surveys.map((s) => s.id), 'survey');
+
+  const ttpIds = new Set(resolved.ttps.map((t) => t.id));
+  for (const school of resolved.schools) {
+    if (!ttpIds.has(school.ttpId)) {
+      throw new Error(`School ${school.name || school.id} refers to unknown TTP ${school.ttpId}`);
+    }
+  }
+  for (const ttp of resolved.ttps) {
+    if (!resolved.namePools[ttp.ethnicity]) {
+      throw new Error(`TTP ${ttp.name || ttp.id} uses ethnicity ${ttp.ethnicity}, which has no name pool`);
+    }
+  }
+  return { ...resolved, cohortSize: { min, max } };
+}
+
+
+export function createSeededRandom(seed = 1) {
   let state = seed >>> 0;
   return () => {
     state = (1664525 * state + 1013904223) % 4294967296;
@@ -152,38 +259,34 @@ function sample(array, random) {
   return array[Math.floor(random() * array.length)];
 }
 
-function buildStudents(random) {
+function buildStudents(random, scenario) {
+  const { schools, yearGroups, namePools, oppositeEthnicity, cohortSize } = scenario;
   let counter = 1000;
   const students = [];
   const usedNames = new Set();
-  const schoolToTtp = Object.fromEntries(schools.map((school) => [school.id, school.ttpId]));
-  const unicornQueue = [...unicornNames];
+  const ttpEthnicity = Object.fromEntries(scenario.ttps.map((ttp) => [ttp.id, ttp.ethnicity]));
+  const fallbackPool = Object.values(namePools)[0];
+  const unicornQueue = [...scenario.unicornNames];
 
   const pickUnicornName = () => {
     if (unicornQueue.length === 0) {
-      return `Unicorn Spark ${shortHash(3)}`;
+      return `Unicorn Spark ${shortHash(random, 3)}`;
     }
     return unicornQueue.shift();
   };
 
-  const ethnicityNamePool = {
-    british: ttpNamePools['oxford-ttp'],
-    chinese: ttpNamePools['shanghai-ttp'],
-  };
-
   for (const school of schools) {
     for (const yearGroup of yearGroups) {
-      const cohortSize = 8 + Math.floor(random() * 6);
-      const ttpId = schoolToTtp[school.id];
-      const primaryEthnicity = ethnicityByTtp[ttpId] || 'british';
+      const size = cohortSize.min + Math.floor(random() * (cohortSize.max - cohortSize.min + 1));
+      const primaryEthnicity = ttpEthnicity[school.ttpId] || Object.keys(namePools)[0];
       const secondaryEthnicity = oppositeEthnicity[primaryEthnicity] || primaryEthnicity;
       const unicornStudent = {
         ethnicity: 'unicorn',
         name: pickUnicornName(),
       };
 
-      const remaining = cohortSize - 1;
-      const minOpposite = Math.max(1, Math.ceil(cohortSize * 0.1));
+      const remaining = size - 1;
+      const minOpposite = Math.max(1, Math.ceil(size * 0.1));
       const oppositeCount = Math.min(remaining, minOpposite);
       const primaryCount = Math.max(0, remaining - oppositeCount);
 
@@ -196,7 +299,7 @@ function buildStudents(random) {
       for (const entry of plan) {
         const namePool = entry.ethnicity === 'unicorn'
             ? null
-            : ethnicityNamePool[entry.ethnicity] || ttpNamePools['oxford-ttp'];
+            : namePools[entry.ethnicity] || fallbackPool;
         let name = entry.name || '';
         let attempts = 0;
         if (entry.ethnicity !== 'unicorn') {
@@ -220,36 +323,56 @@ function buildStudents(random) {
   return students;
 }
 
-const shortHash = (len = 6) => Math.random().toString(36).substring(2, 2 + len);
+const HASH_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
 
-function buildCredentials(students, random) {
+function shortHash(random, len = 6) {
+  let hash = '';
+  for (let i = 0; i < len; i++) {
+    hash += HASH_ALPHABET[Math.floor(random() * HASH_ALPHABET.length)];
+  }
+  return hash;
+}
+
+/*
+ * Credential ids are checked against a Set and each school hands out its credentials in issue order
+ * through a cursor, so issuing stays linear for authority-sized cohorts.
+ */
+function buildCredentials(students, random, { schools }) {
+  const enrolled = new Map();
+  students.forEach((student) => enrolled.set(student.schoolId, (enrolled.get(student.schoolId) || 0) + 1));
   const allCredentials = [];
+  const issuedIds = new Set();
+  const bySchool = new Map();
   for (const school of schools) {
     const base = Math.floor(random() * 90000) + 10000;
-    const n_required = students.filter((s) => s.schoolId === school.id).length;
+    const n_required = enrolled.get(school.id) || 0;
     const n = Math.ceil(n_required * 1.25);
+    const issued = [];
     for (let i = 0; i < n; i++) {
-      let hash = shortHash();
-      while (allCredentials.find((cred) => cred.id === `${school.id}-${hash}`)) {
-        hash = shortHash();
+      let hash = shortHash(random);
+      while (issuedIds.has(`${school.id}-${hash}`)) {
+        hash = shortHash(random);
       }
-      allCredentials.push({
+      const credential = {
         schoolId: school.id,
         id: `${school.id}-${hash}`,
-        password: `${shortHash(4)}-${shortHash(8)}`
-      });
+        password: `${shortHash(random, 4)}-${shortHash(random, 8)}`
+      };
+      issuedIds.add(credential.id);
+      issued.push(credential);
+      allCredentials.push(credential);
     }
+    bySchool.set(school.id, { issued, next: 0 });
   }
 
   const studentCreds = [];
-  students.forEach((student, index) => {
-    const myCreds = allCredentials
-        .filter((cred) => (cred.schoolId === student.schoolId))
-        .filter((cred) => !studentCreds.find((sc) => sc.id === cred.id));
-    if (myCreds.length === 0) {
+  students.forEach((student) => {
+    const pool = bySchool.get(student.schoolId);
+    if (!pool || pool.next >= pool.issued.length) {
       throw new Error(`Not enough credentials for student ${student.id} in school ${student.schoolId}`);
     }
-    const creds = myCreds[0];
+    const creds = pool.issued[pool.next];
+    pool.next += 1;
     studentCreds.push({
       schoolId: student.schoolId,
       ...creds,
@@ -272,9 +395,27 @@ function buildRewriteMap(students, random) {
   }));
 }
 
-function buildSurveyResponses(students, random) {
+/*
+ * Elevated waves push every item towards the worse end of its scale; for instruments where higher
+ * is better, or for reverse-scored items, that is the low raw end.
+ */
+function generateItemScore(survey, item, elevated, random) {
+  const { min, max } = survey.responseRange;
+  const normalScore = min + Math.floor(random() * (max - min + 1));
+  if (!elevated) return normalScore;
+  const worse = Math.min(max, max - 1 + Math.floor(random() * 2));
+  const worseIsHigh = survey.higherIsWorse !== survey.reverseScored.includes(item);
+  return worseIsHigh ? worse : min + max - worse;
+}
+
+/*
+ * Whole waves go missing through `random`; single items go missing through their own stream
+ * (`missingRandom`) so the item rate does not change any generated score.
+ */
+function buildSurveyResponses(students, random, missingRandom, { waves, surveys, missingData }, onStudents) {
   const responses = [];
-  for (const student of students) {
+  for (const [index, student] of students.entries()) {
+    if (index % 2000 === 0) onStudents?.(index / students.length);
     let highResponseActive = random() < 0.1;
     for (const wave of waves) {
       let response = {
@@ -287,18 +428,11 @@ function buildSurveyResponses(students, random) {
       if (random() < 0.05) continue; // some missing data
       const elevatedThisWave = highResponseActive || random() < 0.1;
       for (const survey of surveys) {
-        let total = 0;
-        const items = Object.fromEntries(
-            Array.from({ length: survey.items }, (_, idx) => {
-              const normalScore = Math.floor(random() * 4);
-              const score = elevatedThisWave ? Math.min(3, 2 + Math.floor(random() * 2)) : normalScore;
-              total += score;
-              return [`${survey.id}-item-${idx + 1}`, score];
-            })
-        );
-        response = {
-          ...response, [`${survey.id}-total`]: total, ...items
-        }
+        const items = Object.fromEntries(itemNumbers(survey).map((item) => {
+          const score = generateItemScore(survey, item, elevatedThisWave, random);
+          return [itemKey(survey, item), missingRandom() < missingData.itemRate ? null : score];
+        }));
+        response = { ...response, ...scoredFields(survey, items), ...items };
       }
       responses.push(response)
       if (highResponseActive && random() < 0.5) {
@@ -311,22 +445,57 @@ function buildSurveyResponses(students, random) {
   return responses;
 }
 
-function mean(array) {
-  return array.reduce((a, b) => a + b, 0) / (array.length || 1);
+export function bandCountKey(survey, band) {
+  return `${survey.id}-band-${band.id}-n`;
+}
+
+export function bandShareKey(survey, band) {
+  return `${survey.id}-band-${band.id}-pct`;
+}
+
+/* Lower and upper 95% bounds of a band share, in percent. */
+export function bandShareBoundKeys(survey, band) {
+  return [`${bandShareKey(survey, band)}Low`, `${bandShareKey(survey, band)}High`];
 }
 
-function stddev(array) {
-  if (array.length <= 1) return 0;
-  const m = mean(array);
-  return Math.sqrt(array.reduce((acc, val) => acc + (val - m) ** 2, 0) / (array.length - 1));
+/**
+ * Count and percentage of a group's banded responses falling in each severity band of the survey,
+ * with a 95% interval of the percentage by the `intervals.proportion` method.
+ */
+export function summariseBands(group, survey, intervals = DEFAULT_INTERVALS) {
+  const banded = group.filter((response) => response[bandKey(survey)]);
+  const summary = {};
+  survey.severityBands.forEach((band) => {
+    const count = banded.filter((response) => response[bandKey(survey)] === band.id).length;
+    const bounds = proportionInterval(count, banded.length, intervals.proportion);
+    const [lowKey, highKey] = bandShareBoundKeys(survey, band);
+    summary[bandCountKey(survey, band)] = count;
+    summary[bandShareKey(survey, band)] = banded.length ? Number(((100 * count) / banded.length).toFixed(1)) : 0;
+    summary[lowKey] = bounds ? Number((100 * bounds[0]).toFixed(1)) : null;
+    summary[highKey] = bounds ? Number((100 * bounds[1]).toFixed(1)) : null;
+  });
+  return summary;
 }
 
-function ci95(values) {
-  if (values.length === 0) return 0;
-  return 1.96 * (stddev(values) / Math.sqrt(values.length));
+/* Resampler for one cell's bootstrap, so intervals do not depend on the order cells are computed in. */
+export function createResampler(seed, key) {
+  return createSeededRandom(parseInt(digest(`${seed}|${key}`).slice(0, 8), 16));
 }
 
-function aggregateStatic(responses, { includeEthnicity = true } = {}) {
+/* `<survey>-ciLow` and `<survey>-ciHigh`: the 95% interval of the mean of `totals`, rounded as the mean is. */
+export function meanIntervalFields(survey, totals, intervals, random) {
+  const bounds = meanInterval(totals, intervals, random);
+  return {
+    [`${survey.id}-ciLow`]: bounds ? Number(bounds[0].toFixed(2)) : null,
+    [`${survey.id}-ciHigh`]: bounds ? Number(bounds[1].toFixed(2)) : null,
+  };
+}
+
+function mean(array) {
+  return array.reduce((a, b) => a + b, 0) / (array.length || 1);
+}
+
+function aggregateStatic(responses, surveys, { includeEthnicity = true, intervals = DEFAULT_INTERVALS, seed = 0 } = {}) {
   const grouped = new Map();
   for (const resp of responses) {
     const ethnicity = includeEthnicity ? resp.ethnicity : 'All ethnicities';
@@ -342,30 +511,200 @@ function aggregateStatic(responses, { includeEthnicity = true } = {}) {
     const [schoolId, yearGroup, ethnicity, wave] = key.split('|');
     const stats = {};
     for (const survey of surveys) {
-      const totals = group.map(response => response[`${survey.id}-total`] ?? 0);
+      const totals = group.map(response => response[`${survey.id}-total`]).filter(isAnswered);
       stats[`${survey.id}-total`] = totals.reduce((acc, val) => acc + val, 0);
+      // With N and the total, enough to pool cells' means and t or normal intervals without their records.
+      stats[`${survey.id}-sumOfSquares`] = totals.reduce((acc, val) => acc + val * val, 0);
       stats[`${survey.id}-n`] = totals.length;
-      stats[`${survey.id}-mean`] = Number(mean(totals)).toFixed(2);
-      stats[`${survey.id}-ci95`] = Number(ci95(totals)).toFixed(2);
+      stats[`${survey.id}-mean`] = totals.length ? Number(mean(totals).toFixed(2)) : null;
+      const random = intervals.mean === 'bootstrap' ? createResampler(seed, `${key}|${survey.id}`) : null;
+      Object.assign(stats, meanIntervalFields(survey, totals, intervals, random));
+      Object.assign(stats, summariseBands(group, survey, intervals));
     }
     aggregates.push({
       schoolId,
       yearGroup,
       ethnicity,
       wave,
-      n: stats['phq9-n'] ?? 0,
+      // Suppression works on the smallest survey base, so no mean comes from fewer records than N.
+      n: Math.min(...surveys.map((survey) => stats[`${survey.id}-n`])),
       ...stats
     });
   }
   return aggregates;
 }
 
-function applySuppression(aggregates) {
-  return aggregates.map((agg) => ({
-    ...agg,
-    suppressed: agg.n < 5,
-    notes: agg.n < 5 ? 'Suppressed: fewer than 5 records' : 'Ready for responsive queries'
-  }));
+export const DEFAULT_SUPPRESSION_THRESHOLD = 5;
+
+export function applySuppression(aggregates, threshold = DEFAULT_SUPPRESSION_THRESHOLD) {
+  return aggregates.map((agg) => {
+    const suppressed = agg.n < threshold;
+    return {
+      ...agg,
+      suppressed,
+      suppressionType: suppressed ? 'primary' : null,
+      notes: suppressed ? `Suppressed: fewer than ${threshold} records` : 'Ready for responsive queries'
+    };
+  });
+}
+
+/**
+ * Which of a set of counts sharing a published total to withhold: every count from 1 to
+ * `threshold - 1`, plus the next smallest count when only one would be withheld, since the total
+ * would otherwise give it away. `entries` are [key, count] pairs; returns the set of keys.
+ */
+export function smallCountsToWithhold(entries, threshold) {
+  const withheld = entries.filter(([, count]) => count > 0 && count < threshold).map(([key]) => key);
+  if (withheld.length === 1 && entries.length > 1) {
+    const complement = entries
+        .filter(([key]) => !withheld.includes(key))
+        .reduce((best, entry) => (!best || entry[1] < best[1] ? entry : best), null);
+    withheld.push(complement[0]);
+  }
+  return new Set(withheld);
+}
+
+/**
+ * Suppression of severity-band counts inside released rows. A band count between 1 and
+ * `threshold - 1` is withheld (count, percentage and its interval set to null), and when only one band of a
+ * survey is withheld the next smallest band is withheld too, since the row's N would otherwise give
+ * it away. Rows already suppressed as a whole, and rows without band counts, are left unchanged.
+ * Protection is within a row only; `protectLinkedCounts` carries it across tables published together.
+ */
+export function applyBandSuppression(aggregates, surveys, threshold = DEFAULT_SUPPRESSION_THRESHOLD) {
+  return aggregates.map((agg) => {
+    if (agg.suppressed) return agg;
+    const row = { ...agg };
+    const withheld = [];
+    surveys.forEach((survey) => {
+      const bands = survey.severityBands.filter((band) => typeof agg[bandCountKey(survey, band)] === 'number');
+      if (bands.length === 0) return;
+      const withheldIds = smallCountsToWithhold(bands.map((band) => [band.id, agg[bandCountKey(survey, band)]]), threshold);
+      const hidden = bands.filter((band) => withheldIds.has(band.id));
+      hidden.forEach((band) => {
+        row[bandCountKey(survey, band)] = null;
+        row[bandShareKey(survey, band)] = null;
+        bandShareBoundKeys(survey, band).forEach((key) => { row[key] = null; });
+      });
+      if (hidden.length > 0) withheld.push(survey.name);
+    });
+    if (withheld.length > 0) row.notes = `${row.notes}; ${withheld.join(', ')} band counts below ${threshold} withheld`;
+    return row;
+  });
+}
+
+/**
+ * Secondary suppression for cells that are published alongside their marginal totals.
+ *
+ * `fields` identify a cell; each entry in `linkedFields` is a field that can be summed away to give a
+ * published total (e.g. ethnicity → the all-ethnicities table). Within every set of cells sharing a
+ * total, subtraction gives away the remainder (the total minus the visible cells): a lone suppressed
+ * cell outright, and a count below `threshold` when several suppressed cells add up to less than it.
+ * Either way the smallest visible cell in that set is suppressed as well; sets whose total is itself
+ * hidden are left alone. `totalHidden(group)` says whether a set's total is hidden, by default when
+ * the set's N is under the threshold. Repeats until every set is protected or fully suppressed.
+ */
+export function applyComplementarySuppression(aggregates, {
+  fields,
+  linkedFields,
+  threshold = DEFAULT_SUPPRESSION_THRESHOLD,
+  totalHidden = (group) => group.reduce((sum, row) => sum + row.n, 0) < threshold,
+  note = 'Suppressed (secondary): recoverable by differencing against published totals',
+}) {
+  const rows = aggregates.map((agg) => ({ ...agg }));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const linked of linkedFields) {
+      const otherFields = fields.filter((field) => field !== linked);
+      const groups = new Map();
+      for (const row of rows) {
+        const key = otherFields.map((field) => row[field]).join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        const suppressed = group.filter((row) => row.suppressed);
+        const remainder = suppressed.reduce((sum, row) => sum + row.n, 0);
+        if (suppressed.length === 0 || suppressed.length === group.length) continue;
+        if (suppressed.length > 1 && remainder >= threshold) continue;
+        if (totalHidden(group)) continue;
+        const complement = group
+            .filter((row) => !row.suppressed)
+            .reduce((best, row) => (!best || row.n < best.n ? row : best), null);
+        complement.suppressed = true;
+        complement.suppressionType = 'secondary';
+        complement.notes = note;
+        changed = true;
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Secondary suppression of survey N and severity-band counts across tables published together.
+ *
+ * Each link is `{ total, parts }`: a row whose counts are the sum of the parts' counts (an all-ethnicities
+ * row and its per-ethnicity rows, or an all-schools row and its per-school rows). Parts with no records are
+ * simply left out. A count is hidden when its row is suppressed or the band count is withheld. A link, or
+ * a row's bands against its survey N, with exactly one hidden count gives that count away, so the smallest
+ * visible count that may still be hidden is withheld too (a part before the total; hiding a survey N
+ * suppresses the whole row). Repeats until no link or row has exactly one hidden count.
+ *
+ * Rows are updated in place. Rows in `fixedRows` have already been released and are never changed; they
+ * only count as known or unknown.
+ */
+export function protectLinkedCounts(links, surveys, { fixedRows = new Set(), note = 'Suppressed (secondary): recoverable by differencing against linked totals' } = {}) {
+  const rows = Array.from(new Set(links.flatMap((link) => [link.total, ...link.parts])))
+      .filter((row) => !fixedRows.has(row));
+  const counted = (survey) => [`${survey.id}-n`, ...survey.severityBands.map((band) => bandCountKey(survey, band))];
+  const isHidden = (row, key) => row.suppressed || row[key] === null;
+  const hide = (row, survey, key) => {
+    if (key === `${survey.id}-n`) {
+      row.suppressed = true;
+      row.suppressionType = 'secondary';
+      row.notes = note;
+      return;
+    }
+    const band = survey.severityBands.find((b) => bandCountKey(survey, b) === key);
+    row[key] = null;
+    row[bandShareKey(survey, band)] = null;
+    bandShareBoundKeys(survey, band).forEach((boundKey) => { row[boundKey] = null; });
+    const bandNote = `${survey.name} band counts withheld (secondary)`;
+    if (!row.notes.includes(bandNote)) row.notes = `${row.notes}; ${bandNote}`;
+  };
+  const smallest = (candidates, key) => candidates.reduce((best, row) => (!best || row[key] < best[key] ? row : best), null);
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const survey of surveys) {
+      const bandKeys = survey.severityBands.map((band) => bandCountKey(survey, band));
+      for (const row of rows) {
+        if (row.suppressed) continue;
+        const present = bandKeys.filter((key) => key in row);
+        if (present.filter((key) => row[key] === null).length !== 1) continue;
+        const complement = present
+            .filter((key) => row[key] !== null)
+            .reduce((best, key) => (best === null || row[key] < row[best] ? key : best), null);
+        hide(row, survey, complement ?? `${survey.id}-n`);
+        changed = true;
+      }
+      for (const key of counted(survey)) {
+        for (const { total, parts } of links) {
+          const members = [total, ...parts];
+          if (members.filter((row) => isHidden(row, key)).length !== 1) continue;
+          const open = (candidates) => candidates.filter((row) => !isHidden(row, key) && !fixedRows.has(row) && key in row);
+          const complement = smallest(open(parts), key) || smallest(open([total]), key);
+          if (!complement) continue;
+          hide(complement, survey, key);
+          changed = true;
+        }
+      }
+    }
+  }
 }
 
 function relabelResponses(responses, map) {
@@ -400,30 +739,300 @@ function buildMetadataSummary() {
   ];
 }
 
-function buildEntityMatrix() {
+export const DATA_CATEGORIES = [
+  { id: 'pid', name: 'PID' },
+  { id: 'pseudo', name: 'Pseudonymous' },
+  { id: 'anonRe', name: 'Anonymous (risk)' },
+  { id: 'anon', name: 'Anonymous' },
+];
+
+/**
+ * Entity × data-category access model. Each item names the dataset section it refers to
+ * (`sectionKey`), or null for outputs that have no table of their own. `hiddenColumns` lists
+ * columns the entity does not receive even though it holds the dataset.
+ */
+function buildEntityMatrix(schools, ttps) {
+  const item = (sectionKey, label, hiddenColumns = []) => ({ sectionKey, label, hiddenColumns });
+  const relabelled = item('relabelledSurveyResponses', 'Relabelled survey responses');
   return [
-    { entity: 'Oxford University', pid: [], pseudo: ['Relabelled survey responses'], anonRe: ['Static aggregated data', 'Dynamic aggregated data'], anon: ['Cross-school survey trends'] },
-    { entity: 'Trusted Third Party', pid: [], pseudo: ['ID rewrite map'], anonRe: ['Relabelled survey responses'], anon: [] },
-    { entity: 'Schools', pid: ['ID + Password + Student'], pseudo: ['ID Rewrite Map'], anonRe: ['Relabelled survey responses'], anon: ['Static aggregated data'] }
+    {
+      entityId: 'oxford',
+      entity: 'Oxford University',
+      kind: 'university',
+      scope: 'all',
+      pid: [],
+      pseudo: [],
+      anonRe: [item('staticAggregated', 'Static aggregated data'), item('dynamicAggregated', 'Dynamic aggregated data')],
+      anon: [item(null, 'Cross-school survey trends')]
+    },
+    ...ttps.map((ttp) => ({
+      entityId: ttp.id,
+      entity: ttp.name,
+      kind: 'ttp',
+      scope: 'ttp',
+      pid: [],
+      pseudo: [item('rewriteMap', 'ID rewrite map', ['ethnicity']), item('surveyResponses', 'Labelled survey responses')],
+      anonRe: [relabelled],
+      anon: []
+    })),
+    ...schools.map((school) => ({
+      entityId: school.id,
+      entity: school.name,
+      kind: 'school',
+      scope: 'school',
+      ttpId: school.ttpId,
+      pid: [item('credentials', 'ID + Password'), item('studentCredentials', 'ID + Password + Student')],
+      pseudo: [item('rewriteMap', 'ID Rewrite Map')],
+      anonRe: [relabelled],
+      anon: [item('staticAggregated', 'Static aggregated data')]
+    }))
   ];
 }
 
-export function buildDataset(seed = 42) {
+/**
+ * What one entity of the matrix is allowed to see: the dataset sections it holds, the columns
+ * withheld per section and the schools whose rows it receives (null means every school).
+ */
+export function resolveEntityAccess(entityMatrix, entityId, schools) {
+  const row = entityMatrix.find((entry) => entry.entityId === entityId);
+  if (!row) return null;
+  const sections = new Set();
+  const hiddenColumns = {};
+  DATA_CATEGORIES.forEach((category) => {
+    row[category.id].forEach((entry) => {
+      if (!entry.sectionKey) return;
+      sections.add(entry.sectionKey);
+      hiddenColumns[entry.sectionKey] = entry.hiddenColumns || [];
+    });
+  });
+  let schoolIds = null;
+  if (row.scope === 'school') schoolIds = new Set([row.entityId]);
+  if (row.scope === 'ttp') schoolIds = new Set(schools.filter((school) => school.ttpId === row.entityId).map((school) => school.id));
+  return { entityId: row.entityId, entity: row.entity, kind: row.kind, sections, hiddenColumns, schoolIds };
+}
+
+/**
+ * Data-flow graph for the pipeline in `buildDataset`: schools issue student credentials and collect
+ * labelled responses, each TTP receives its schools' rewrite map and responses and releases relabelled
+ * responses, which are aggregated for Oxford. Links carry the dataset (`sectionKey`) and its record count.
+ */
+export function buildDataFlow(dataset) {
+  const { schools, ttps } = dataset;
+  const nodes = [];
+  const links = [];
+  const indexOf = new Map();
+  const addNode = (id, label, kind, sectionKey) => {
+    indexOf.set(id, nodes.length);
+    nodes.push({ id, label, kind, sectionKey });
+  };
+  const addLink = (source, target, sectionKey, value) => {
+    if (value > 0) links.push({ source: indexOf.get(source), target: indexOf.get(target), sectionKey, value });
+  };
+  // Rows per school, counted once per table; a TTP's count is the sum over its schools.
+  const countsBySchool = (rows) => {
+    const counts = new Map();
+    rows.forEach((row) => counts.set(row.schoolId, (counts.get(row.schoolId) || 0) + 1));
+    return counts;
+  };
+  const credentialCounts = countsBySchool(dataset.studentCredentials);
+  const responseCounts = countsBySchool(dataset.surveyResponses);
+  const rewriteCounts = countsBySchool(dataset.rewriteMap);
+  const relabelledCounts = countsBySchool(dataset.relabelledSurveyResponses);
+  const ttpTotal = (counts, ttp) => schools
+      .filter((school) => school.ttpId === ttp.id)
+      .reduce((sum, school) => sum + (counts.get(school.id) || 0), 0);
+
+  schools.forEach((school) => addNode(`school:${school.id}`, school.name, 'school', null));
+  addNode('studentCredentials', 'Student credentials', 'dataset', 'studentCredentials');
+  addNode('surveyResponses', 'Labelled survey responses', 'dataset', 'surveyResponses');
+  addNode('rewriteMap', 'ID rewrite map', 'dataset', 'rewriteMap');
+  ttps.forEach((ttp) => addNode(`ttp:${ttp.id}`, ttp.name, 'ttp', null));
+  addNode('relabelledSurveyResponses', 'Relabelled survey responses', 'dataset', 'relabelledSurveyResponses');
+  addNode('staticAggregated', 'Static aggregates', 'dataset', 'staticAggregated');
+  addNode('dynamicAggregated', 'Dynamic aggregates', 'dataset', 'dynamicAggregated');
+  addNode('oxford', 'Oxford University', 'university', null);
+
+  schools.forEach((school) => {
+    addLink(`school:${school.id}`, 'studentCredentials', 'studentCredentials', credentialCounts.get(school.id) || 0);
+    addLink(`school:${school.id}`, 'surveyResponses', 'surveyResponses', responseCounts.get(school.id) || 0);
+  });
+  addLink('studentCredentials', 'rewriteMap', 'rewriteMap', dataset.rewriteMap.length);
+  ttps.forEach((ttp) => {
+    addLink('rewriteMap', `ttp:${ttp.id}`, 'rewriteMap', ttpTotal(rewriteCounts, ttp));
+    addLink('surveyResponses', `ttp:${ttp.id}`, 'surveyResponses', ttpTotal(responseCounts, ttp));
+    addLink(`ttp:${ttp.id}`, 'relabelledSurveyResponses', 'relabelledSurveyResponses', ttpTotal(relabelledCounts, ttp));
+  });
+  const staticRows = dataset.staticAggregated.length + dataset.staticAggregatedAgnostic.length;
+  const dynamicRows = dataset.dynamicAggregated.length + dataset.dynamicAggregatedAgnostic.length;
+  addLink('relabelledSurveyResponses', 'staticAggregated', 'staticAggregated', staticRows);
+  addLink('relabelledSurveyResponses', 'dynamicAggregated', 'dynamicAggregated', dynamicRows);
+  addLink('staticAggregated', 'oxford', 'staticAggregated', staticRows);
+  addLink('dynamicAggregated', 'oxford', 'dynamicAggregated', dynamicRows);
+
+  return { nodes, links };
+}
+
+const SCHOOL_SCOPED_TABLES = [
+  'students',
+  'credentials',
+  'studentCredentials',
+  'surveyResponses',
+  'rewriteMap',
+  'relabelledSurveyResponses',
+  'staticAggregated',
+  'staticAggregatedAgnostic',
+  'dynamicAggregated',
+  'dynamicAggregatedAgnostic',
+];
+
+/**
+ * Restrict every per-school table of a dataset to the given school ids (null keeps everything).
+ */
+export function scopeDataset(dataset, schoolIds) {
+  if (!schoolIds) return dataset;
+  const scoped = { ...dataset };
+  SCHOOL_SCOPED_TABLES.forEach((name) => {
+    scoped[name] = dataset[name].filter((row) => schoolIds.has(row.schoolId));
+  });
+  return scoped;
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((entry) => (entry === undefined ? 'null' : canonicalJson(entry))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 64-bit string digest (two interleaved 32-bit multiply-xor lanes); stable across browsers and reloads.
+export function digest(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+export function fingerprintTables(tables, onTable) {
+  const names = Object.keys(tables).sort();
+  const tableDigests = Object.fromEntries(names.map((name, index) => {
+    onTable?.(index / names.length);
+    return [name, digest(canonicalJson(tables[name]))];
+  }));
+  return {
+    fingerprint: digest(canonicalJson(tableDigests)),
+    tableDigests,
+  };
+}
+
+export const BUILD_STAGES = [
+  'Generating students',
+  'Issuing credentials',
+  'Generating survey responses',
+  'Scoring missing data',
+  'Relabelling responses',
+  'Aggregating',
+  'Suppressing small cells',
+  'Fingerprinting tables',
+];
+
+/*
+ * Calls `onProgress({ stage, done, total })` as each of `stages` starts (and, with `fraction`, as a
+ * long stage advances) and once more, with a null stage, when all are done.
+ */
+function progressReporter(stages, onProgress) {
+  return (stage, fraction = 0) => onProgress?.({
+    stage,
+    done: stage ? stages.indexOf(stage) + fraction : stages.length,
+    total: stages.length,
+  });
+}
+
+export function buildDataset(seed = 42, scenarioConfig = DEFAULT_SCENARIO, { onProgress } = {}) {
+  const scenario = normalizeScenario(scenarioConfig);
+  const report = progressReporter(BUILD_STAGES, onProgress);
   const random = createSeededRandom(seed);
-  const students = buildStudents(random);
-  const { allCredentials, studentCreds } = buildCredentials(students, random);
+  report('Generating students');
+  const students = buildStudents(random, scenario);
+  report('Issuing credentials');
+  const credentials = buildCredentials(students, random, scenario);
   const rewriteMap = buildRewriteMap(students, random);
-  const surveysRaw = buildSurveyResponses(students, random);
-  const relabelled = relabelResponses(surveysRaw, rewriteMap);
-  const aggregatedByEthnicity = aggregateStatic(relabelled, { includeEthnicity: true });
-  const aggregatedAllEthnicities = aggregateStatic(relabelled, { includeEthnicity: false });
-  const staticAggregated = applySuppression(aggregatedByEthnicity);
-  const staticAggregatedAgnostic = applySuppression(aggregatedAllEthnicities);
-  const dynamicAggregated = applySuppression(aggregatedByEthnicity);
-  const dynamicAggregatedAgnostic = applySuppression(aggregatedAllEthnicities);
+  report('Generating survey responses');
+  const surveysRaw = buildSurveyResponses(students, random, createSeededRandom(seed ^ 0x5bd1e995), scenario,
+      (fraction) => report('Generating survey responses', fraction));
+  return assembleDataset(seed, scenario, { students, credentials, rewriteMap, surveysRaw, source: null }, report);
+}
 
-  return {
-    seed,
+/**
+ * Run the relabel, aggregate and suppression pipeline over imported students and survey responses
+ * (already checked with `validateImport`). Credentials and UIDs are still issued from the seed.
+ */
+export function buildImportedDataset(seed, scenarioConfig, { students, responses, source }, { onProgress } = {}) {
+  const scenario = normalizeScenario(scenarioConfig);
+  const stages = BUILD_STAGES.filter((stage) => stage !== 'Generating students' && stage !== 'Generating survey responses');
+  const report = progressReporter(stages, onProgress);
+  const random = createSeededRandom(seed);
+  report('Issuing credentials');
+  const credentials = buildCredentials(students, random, scenario);
+  const rewriteMap = buildRewriteMap(students, random);
+  return assembleDataset(seed, scenario, { students, credentials, rewriteMap, surveysRaw: responses, source }, report);
+}
+
+function assembleDataset(seed, scenario, { students, credentials, rewriteMap, surveysRaw, source }, report) {
+  const { schools, yearGroups, waves, surveys, ttps } = scenario;
+  const { allCredentials, studentCreds } = credentials;
+  report('Scoring missing data');
+  const responses = applyMissingDataStrategy(surveysRaw, surveys, scenario.missingData);
+  report('Relabelling responses');
+  const relabelled = relabelResponses(responses, rewriteMap);
+  report('Aggregating');
+  const { intervals } = scenario;
+  const aggregatedByEthnicity = aggregateStatic(relabelled, surveys, { includeEthnicity: true, intervals, seed });
+  const aggregatedAllEthnicities = aggregateStatic(relabelled, surveys, { includeEthnicity: false, intervals, seed });
+  const hiddenTotals = new Set(applySuppression(aggregatedAllEthnicities)
+      .filter((row) => row.suppressed)
+      .map((row) => [row.schoolId, row.yearGroup, row.wave].join('|')));
+  const protectEthnicityCells = (aggregates) => applyComplementarySuppression(aggregates, {
+    fields: ['schoolId', 'yearGroup', 'wave', 'ethnicity'],
+    linkedFields: ['ethnicity'],
+    totalHidden: ([row]) => hiddenTotals.has([row.schoolId, row.yearGroup, row.wave].join('|')),
+    note: 'Suppressed (secondary): recoverable from the all-ethnicities total',
+  });
+  const suppressBands = (aggregates) => applyBandSuppression(aggregates, surveys);
+  // Band counts withheld in one table must not follow from the other by subtracting across ethnicities.
+  const linkEthnicityTables = (byEthnicity, allEthnicities) => {
+    const cellKey = (row) => [row.schoolId, row.yearGroup, row.wave].join('|');
+    const parts = new Map();
+    byEthnicity.forEach((row) => {
+      if (!parts.has(cellKey(row))) parts.set(cellKey(row), []);
+      parts.get(cellKey(row)).push(row);
+    });
+    protectLinkedCounts(allEthnicities.map((total) => ({ total, parts: parts.get(cellKey(total)) || [] })), surveys);
+    return [byEthnicity, allEthnicities];
+  };
+  report('Suppressing small cells');
+  const [staticAggregated, staticAggregatedAgnostic] = linkEthnicityTables(
+      suppressBands(protectEthnicityCells(applySuppression(aggregatedByEthnicity))),
+      suppressBands(applySuppression(aggregatedAllEthnicities)),
+  );
+  const [dynamicAggregated, dynamicAggregatedAgnostic] = linkEthnicityTables(
+      suppressBands(protectEthnicityCells(applySuppression(aggregatedByEthnicity))),
+      suppressBands(applySuppression(aggregatedAllEthnicities)),
+  );
+
+  const tables = {
     schools,
     yearGroups,
     waves,
@@ -431,15 +1040,26 @@ export function buildDataset(seed = 42) {
     students,
     credentials: allCredentials,
     studentCredentials: studentCreds,
-    surveyResponses: surveysRaw,
+    surveyResponses: responses,
     rewriteMap,
     relabelledSurveyResponses: relabelled,
     staticAggregated,
     staticAggregatedAgnostic,
     dynamicAggregated,
     dynamicAggregatedAgnostic,
-    metadata: buildMetadataSummary(),
-    entityMatrix: buildEntityMatrix(),
     ttps
   };
+
+  report('Fingerprinting tables');
+  const fingerprints = fingerprintTables(tables, (fraction) => report('Fingerprinting tables', fraction));
+  report(null);
+  return {
+    seed,
+    scenario,
+    source,
+    ...tables,
+    ...fingerprints,
+    metadata: buildMetadataSummary(),
+    entityMatrix: buildEntityMatrix(schools, ttps)
+  };
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+import {buildDataset, buildImportedDataset} from './data.js';
+import {buildDatasetSchemas, validateDataset} from './schemas.js';
+
+/*
+ * Builds one dataset off the main thread and checks it against its schemas. Receives
+ * `{ seed, scenario, imported }` and posts `{ type: 'progress', progress }` as the build advances,
+ * then `{ type: 'done', dataset, validation }` or `{ type: 'error', message }`.
+ */
+self.onmessage = ({ data: { seed, scenario, imported } }) => {
+  // One extra step after the build stages for the schema check.
+  const onProgress = (progress) => self.postMessage({
+    type: 'progress',
+    progress: { ...progress, stage: progress.stage || 'Validating schemas', total: progress.total + 1 },
+  });
+  try {
+    const dataset = imported
+        ? buildImportedDataset(seed, scenario, imported, { onProgress })
+        : buildDataset(seed, scenario, { onProgress });
+    const validation = validateDataset(dataset, buildDatasetSchemas(dataset.scenario));
+    self.postMessage({ type: 'done', dataset, validation });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
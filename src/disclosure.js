@@ -0,0 +1,503 @@
+const EPSILON = 1e-9;
+
+const FILTER_FIELDS = {
+  school: 'schoolId',
+  yearGroup: 'yearGroup',
+  ethnicity: 'ethnicity',
+  wave: 'wave',
+};
+
+function matchesScope(atom, scope) {
+  return Object.entries(scope).every(([field, value]) => atom[field] === value);
+}
+
+function buildAtoms({ schools, yearGroups, waves, ethnicities, ttpOf }) {
+  const atoms = [];
+  for (const school of schools) {
+    for (const yearGroup of yearGroups) {
+      for (const ethnicity of ethnicities) {
+        for (const wave of waves) {
+          atoms.push({ schoolId: school.id, ttpId: ttpOf(school.id), yearGroup, ethnicity, wave });
+        }
+      }
+    }
+  }
+  return atoms;
+}
+
+/*
+* Incrementally maintained reduced row echelon basis over the atom counts/sums.
+* Every published cell is one linear equation; a suppressed cell is disclosed when its indicator vector
+* lies in the span of those equations.
+* */
+function createLinearSystem(width, rhsWidth) {
+  const pivots = [];
+
+  const add = (vector, rhs) => {
+    const row = Float64Array.from(vector);
+    const values = Float64Array.from(rhs);
+    for (const pivot of pivots) {
+      const factor = row[pivot.col];
+      if (Math.abs(factor) < EPSILON) continue;
+      for (let i = 0; i < width; i++) row[i] -= factor * pivot.row[i];
+      for (let j = 0; j < rhsWidth; j++) values[j] -= factor * pivot.rhs[j];
+    }
+    let col = -1;
+    for (let i = 0; i < width; i++) {
+      if (Math.abs(row[i]) > EPSILON) {
+        col = i;
+        break;
+      }
+    }
+    if (col === -1) return false;
+    const scale = row[col];
+    for (let i = 0; i < width; i++) row[i] /= scale;
+    for (let j = 0; j < rhsWidth; j++) values[j] /= scale;
+    for (const pivot of pivots) {
+      const factor = pivot.row[col];
+      if (Math.abs(factor) < EPSILON) continue;
+      for (let i = 0; i < width; i++) pivot.row[i] -= factor * row[i];
+      for (let j = 0; j < rhsWidth; j++) pivot.rhs[j] -= factor * values[j];
+    }
+    pivots.push({ col, row, rhs: values });
+    return true;
+  };
+
+  const solve = (vector) => {
+    const residual = Float64Array.from(vector);
+    const values = new Float64Array(rhsWidth);
+    for (const pivot of pivots) {
+      const factor = residual[pivot.col];
+      if (Math.abs(factor) < EPSILON) continue;
+      for (let i = 0; i < width; i++) residual[i] -= factor * pivot.row[i];
+      for (let j = 0; j < rhsWidth; j++) values[j] += factor * pivot.rhs[j];
+    }
+    const determined = residual.every((value) => Math.abs(value) < 1e-6);
+    return determined ? Array.from(values) : null;
+  };
+
+  return { add, solve, rank: () => pivots.length };
+}
+
+function staticScope(row) {
+  const scope = { schoolId: row.schoolId, yearGroup: row.yearGroup, wave: row.wave };
+  if (row.ethnicity !== 'All ethnicities') scope.ethnicity = row.ethnicity;
+  return scope;
+}
+
+function filterScope(filters = {}) {
+  return Object.fromEntries(
+      Object.entries(FILTER_FIELDS)
+          .filter(([filterKey]) => filters[filterKey] && filters[filterKey] !== 'all')
+          .map(([filterKey, field]) => [field, filters[filterKey]]),
+  );
+}
+
+/**
+ * Turn the published tables into a list of releases the attacker can see. Static tables are complete
+ * listings (an absent group means zero records); dynamic queries are complete only when no value
+ * comparator filter hid rows. Dynamic queries released with noise, or scored with a different
+ * missing-data strategy from the scenario's, are not exact sums of the same records and are marked
+ * `exact: false`.
+ */
+export function collectReleases({ staticAggregated, staticAggregatedAgnostic, dynamicQueries = [], missingData = null }) {
+  const releases = [
+    {
+      source: 'Static (by ethnicity)',
+      groupingFields: ['schoolId', 'yearGroup', 'ethnicity', 'wave'],
+      baseScope: {},
+      complete: true,
+      exact: true,
+      cells: staticAggregated.map((row) => ({ row, scope: staticScope(row) })),
+    },
+    {
+      source: 'Static (all ethnicities)',
+      groupingFields: ['schoolId', 'yearGroup', 'wave'],
+      baseScope: {},
+      complete: true,
+      exact: true,
+      cells: staticAggregatedAgnostic.map((row) => ({ row, scope: staticScope(row) })),
+    },
+  ];
+  dynamicQueries.forEach((query, idx) => {
+    const baseScope = filterScope(query.filters);
+    const rescored = Boolean(missingData && query.missingData)
+        && JSON.stringify(query.missingData) !== JSON.stringify(missingData);
+    releases.push({
+      source: `Dynamic query ${idx + 1}`,
+      groupingFields: query.groupingFields,
+      baseScope,
+      complete: !query.valueFilterActive,
+      exact: !query.privacy && !rescored,
+      cells: query.rows.map((row) => ({
+        row,
+        scope: {
+          ...baseScope,
+          ...Object.fromEntries(query.groupingFields.map((field) => [field, row[field]])),
+        },
+      })),
+    });
+  });
+  return releases;
+}
+
+function trueValues(responses, scope, surveys, ttpOf) {
+  const matching = responses.filter((resp) => matchesScope({ ...resp, ttpId: ttpOf(resp.schoolId) }, scope));
+  return Object.fromEntries(surveys.map((survey) => {
+    const totals = matching
+        .map((resp) => resp[`${survey.id}-total`])
+        .filter((value) => Number.isFinite(value));
+    const sum = totals.reduce((a, b) => a + b, 0);
+    return [survey.id, { n: totals.length, mean: totals.length ? sum / totals.length : null }];
+  }));
+}
+
+/**
+ * Run a differencing attack over published aggregates.
+ *
+ * Each visible cell contributes its N and N × mean (per survey) as linear equations over the finest
+ * school × yeargroup × ethnicity × wave atoms. Suppressed cells are treated as unknown, and any whose
+ * value is pinned down by the equations is reported next to the ground truth from `responses`.
+ * With `trustSecondary: false` secondary suppressions are treated as published, showing what the
+ * primary rule alone would have leaked. Releases marked `exact: false` are left out of the system.
+ */
+export function runDifferencingAttack({
+  releases,
+  responses,
+  surveys,
+  schools,
+  yearGroups,
+  waves,
+  ethnicities,
+  ttpOf,
+  trustSecondary = true,
+}) {
+  const exactReleases = releases.filter((release) => release.exact !== false);
+  const atoms = buildAtoms({ schools, yearGroups, waves, ethnicities, ttpOf });
+  const width = atoms.length;
+  const rhsWidth = surveys.length * 2;
+  const system = createLinearSystem(width, rhsWidth);
+  const indicator = (scope) => atoms.map((atom) => (matchesScope(atom, scope) ? 1 : 0));
+  const isHidden = (row) => row.suppressed && (trustSecondary || row.suppressionType !== 'secondary');
+
+  let equations = 0;
+  for (const release of exactReleases) {
+    for (const { row, scope } of release.cells) {
+      if (isHidden(row)) continue;
+      const rhs = surveys.flatMap((survey) => {
+        const n = Number(row[`${survey.id}-n`]) || 0;
+        const mean = Number(row[`${survey.id}-mean`]) || 0;
+        return [n, Math.round(mean * n)];
+      });
+      system.add(indicator(scope), rhs);
+      equations += 1;
+    }
+    if (!release.complete) continue;
+    const listed = new Set(release.cells.map(({ scope }) => release.groupingFields.map((f) => scope[f]).join('|')));
+    const absent = new Map();
+    atoms.forEach((atom) => {
+      if (!matchesScope(atom, release.baseScope)) return;
+      const key = release.groupingFields.map((f) => atom[f]).join('|');
+      if (listed.has(key) || absent.has(key)) return;
+      absent.set(key, Object.fromEntries(release.groupingFields.map((f) => [f, atom[f]])));
+    });
+    absent.forEach((scope) => {
+      system.add(indicator({ ...release.baseScope, ...scope }), new Array(rhsWidth).fill(0));
+      equations += 1;
+    });
+  }
+
+  const findings = [];
+  const seen = new Set();
+  for (const release of exactReleases) {
+    for (const { row, scope } of release.cells) {
+      if (!isHidden(row)) continue;
+      const scopeKey = JSON.stringify(Object.entries(scope).sort(([a], [b]) => a.localeCompare(b)));
+      if (seen.has(scopeKey)) continue;
+      seen.add(scopeKey);
+      const solved = system.solve(indicator(scope));
+      const truth = trueValues(responses, scope, surveys, ttpOf);
+      const recovered = solved
+          ? Object.fromEntries(surveys.map((survey, idx) => {
+            const n = Math.round(solved[idx * 2]);
+            const sum = solved[idx * 2 + 1];
+            return [survey.id, { n, mean: n > 0 ? sum / n : null }];
+          }))
+          : null;
+      findings.push({
+        source: release.source,
+        scope,
+        suppressionType: row.suppressionType || 'primary',
+        recovered,
+        truth,
+        exact: Boolean(recovered) && surveys.every((survey) => {
+          const r = recovered[survey.id];
+          const t = truth[survey.id];
+          return r.n === t.n && (t.mean === null || Math.abs(r.mean - t.mean) < 0.01);
+        }),
+      });
+    }
+  }
+
+  return {
+    findings,
+    equations,
+    rank: system.rank(),
+    atoms: width,
+    inexactReleases: releases.length - exactReleases.length,
+    recoveredCount: findings.filter((f) => f.recovered).length,
+  };
+}
+
+export const QUASI_IDENTIFIERS = [
+  { id: 'schoolId', label: 'School' },
+  { id: 'yearGroup', label: 'Yeargroup' },
+  { id: 'ethnicity', label: 'Ethnicity' },
+  { id: 'wave', label: 'Wave' },
+];
+
+function yearGroupBands(yearGroups) {
+  const bands = {};
+  for (let i = 0; i < yearGroups.length; i += 2) {
+    const chunk = yearGroups.slice(i, i + 2);
+    const label = chunk.length > 1 ? `${chunk[0]}–${chunk[chunk.length - 1]}` : chunk[0];
+    chunk.forEach((yg) => {
+      bands[yg] = label;
+    });
+  }
+  return bands;
+}
+
+/**
+ * Generalisation hierarchies for each quasi-identifier; level 0 is the raw value and the last level
+ * is fully suppressed ('*').
+ */
+export function buildHierarchies({ schools, ttps, yearGroups }) {
+  const ttpName = Object.fromEntries(ttps.map((ttp) => [ttp.id, ttp.name]));
+  const schoolTtp = Object.fromEntries(schools.map((school) => [school.id, ttpName[school.ttpId] || school.ttpId]));
+  const bands = yearGroupBands(yearGroups);
+  return {
+    schoolId: [
+      { label: 'School', map: (value) => value },
+      { label: 'TTP', map: (value) => schoolTtp[value] || value },
+      { label: 'Any', map: () => '*' },
+    ],
+    yearGroup: [
+      { label: 'Yeargroup', map: (value) => value },
+      { label: 'Merged yeargroups', map: (value) => bands[value] || value },
+      { label: 'Any', map: () => '*' },
+    ],
+    ethnicity: [
+      { label: 'Ethnicity', map: (value) => value },
+      { label: 'Any', map: () => '*' },
+    ],
+    wave: [
+      { label: 'Wave', map: (value) => value },
+      { label: 'Any', map: () => '*' },
+    ],
+  };
+}
+
+function orderedEmd(classCounts, overall, classSize, total) {
+  const m = overall.length;
+  if (m <= 1) return 0;
+  let cumulative = 0;
+  let distance = 0;
+  for (let i = 0; i < m; i++) {
+    cumulative += classCounts[i] / classSize - overall[i] / total;
+    distance += Math.abs(cumulative);
+  }
+  return distance / (m - 1);
+}
+
+/**
+ * k-anonymity, distinct l-diversity and t-closeness (ordered EMD) of the records over the chosen
+ * quasi-identifiers at the given generalisation levels. Class size counts distinct students (`uid`),
+ * since a student contributes one record per wave.
+ */
+export function analyseAnonymity(records, {
+  quasiIdentifiers,
+  levels = {},
+  hierarchies,
+  sensitiveKey,
+  sensitiveMax,
+  targetK = 5,
+  targetL = 2,
+  targetT = 0.3,
+}) {
+  const overall = new Array(sensitiveMax + 1).fill(0);
+  const classes = new Map();
+  let counted = 0;
+  for (const record of records) {
+    const qiValues = Object.fromEntries(quasiIdentifiers.map((qi) => {
+      const level = hierarchies[qi][levels[qi] || 0];
+      return [qi, level.map(record[qi])];
+    }));
+    const key = quasiIdentifiers.map((qi) => qiValues[qi]).join('|');
+    if (!classes.has(key)) {
+      classes.set(key, { key, values: qiValues, records: [], uids: new Set(), counts: new Array(sensitiveMax + 1).fill(0) });
+    }
+    const entry = classes.get(key);
+    entry.records.push(record);
+    entry.uids.add(record.uid);
+    const sensitive = Number(record[sensitiveKey]);
+    if (Number.isFinite(sensitive)) {
+      const bucket = Math.min(Math.max(Math.round(sensitive), 0), sensitiveMax);
+      entry.counts[bucket] += 1;
+      overall[bucket] += 1;
+      counted += 1;
+    }
+  }
+
+  const summaries = Array.from(classes.values()).map((entry) => {
+    const classTotal = entry.counts.reduce((a, b) => a + b, 0);
+    const size = entry.uids.size;
+    const l = entry.counts.filter((count) => count > 0).length;
+    const t = classTotal && counted ? orderedEmd(entry.counts, overall, classTotal, counted) : 0;
+    return {
+      key: entry.key,
+      ...entry.values,
+      size,
+      records: entry.records.length,
+      l,
+      t: Number(t.toFixed(3)),
+      violatesK: size < targetK,
+      violatesL: l < targetL,
+      violatesT: t > targetT,
+      members: entry.records,
+    };
+  });
+
+  const violating = summaries.filter((c) => c.violatesK || c.violatesL || c.violatesT);
+  return {
+    classes: summaries,
+    k: summaries.length ? Math.min(...summaries.map((c) => c.size)) : 0,
+    l: summaries.length ? Math.min(...summaries.map((c) => c.l)) : 0,
+    t: summaries.length ? Math.max(...summaries.map((c) => c.t)) : 0,
+    violatingClasses: violating,
+    violatingRecords: violating.flatMap((c) => c.members.map((record) => ({
+      ...record,
+      classKey: c.key,
+      classSize: c.size,
+      classL: c.l,
+      classT: c.t,
+    }))),
+  };
+}
+
+/**
+ * Search every combination of generalisation levels for the least generalised one (fewest total
+ * hierarchy steps, then most equivalence classes) that reaches the target k.
+ */
+export function findMinimalGeneralisation(records, options) {
+  const { quasiIdentifiers, hierarchies, targetK } = options;
+  let candidates = [{}];
+  for (const qi of quasiIdentifiers) {
+    candidates = candidates.flatMap((levels) => hierarchies[qi].map((_, idx) => ({ ...levels, [qi]: idx })));
+  }
+  let best = null;
+  for (const levels of candidates) {
+    const cost = Object.values(levels).reduce((a, b) => a + b, 0);
+    if (best && cost > best.cost) continue;
+    const result = analyseAnonymity(records, { ...options, levels });
+    if (result.k < targetK) continue;
+    if (!best || cost < best.cost || (cost === best.cost && result.classes.length > best.classes)) {
+      best = { levels, cost, classes: result.classes.length };
+    }
+  }
+  return best ? best.levels : null;
+}
+
+const DIRECT_IDENTIFIER_FIELDS = ['name', 'password'];
+const LINKABLE_IDENTIFIER_FIELDS = ['studentId'];
+const SENSITIVITY_ORDER = ['anon', 'anon-risk', 'pseudo', 'pii'];
+const SMALL_CLASS = 5;
+
+function presentFields(rows, candidates) {
+  return candidates.filter((field) => rows.some((row) => row[field] !== undefined && row[field] !== null && row[field] !== ''));
+}
+
+function labelForScore(score) {
+  if (score >= 90) return 'pii';
+  if (score >= 70) return 'pseudo';
+  if (score >= 40) return 'anon-risk';
+  return 'anon';
+}
+
+/**
+ * Measure re-identification risk from a section's rows and map it to one of the default sensitivity
+ * labels. Direct identifiers dominate, then identifiers reversible via a lookup; record-level data is
+ * scored on how many students sit in small quasi-identifier classes, aggregates on their smallest
+ * visible cell.
+ */
+export function assessSectionRisk(rows) {
+  const directIdentifiers = presentFields(rows, DIRECT_IDENTIFIER_FIELDS);
+  const linkableIdentifiers = presentFields(rows, LINKABLE_IDENTIFIER_FIELDS);
+  const quasiIdentifiers = presentFields(rows, QUASI_IDENTIFIERS.map((qi) => qi.id));
+  const isAggregate = rows.length > 0 && rows.every((row) => typeof row.suppressed === 'boolean' && Number.isFinite(row.n));
+  const reasons = [];
+  let score = 0;
+
+  if (directIdentifiers.length) {
+    score = Math.max(score, 100);
+    reasons.push(`Direct identifiers: ${directIdentifiers.join(', ')}`);
+  }
+  if (linkableIdentifiers.length) {
+    score = Math.max(score, 80);
+    reasons.push(`Identifiers reversible via a lookup: ${linkableIdentifiers.join(', ')}`);
+  }
+
+  let uniqueShare = null;
+  let smallShare = null;
+  let minCellSize = null;
+  if (isAggregate) {
+    const visible = rows.filter((row) => !row.suppressed).map((row) => row.n);
+    minCellSize = visible.length ? Math.min(...visible) : null;
+    const cellScore = minCellSize === null ? 0 : minCellSize < SMALL_CLASS ? 60 : Math.max(0, 35 - 2 * (minCellSize - SMALL_CLASS));
+    score = Math.max(score, cellScore);
+    reasons.push(minCellSize === null ? 'All cells suppressed' : `Smallest visible cell: ${minCellSize}`);
+  } else if (quasiIdentifiers.length && rows.length) {
+    const classes = new Map();
+    rows.forEach((row, idx) => {
+      const key = quasiIdentifiers.map((qi) => row[qi]).join('|');
+      if (!classes.has(key)) classes.set(key, new Set());
+      classes.get(key).add(row.uid || row.studentId || row.id || idx);
+    });
+    const people = new Map();
+    classes.forEach((members) => {
+      members.forEach((person) => {
+        people.set(person, Math.min(people.get(person) ?? Infinity, members.size));
+      });
+    });
+    const sizes = Array.from(people.values());
+    uniqueShare = sizes.filter((size) => size === 1).length / sizes.length;
+    smallShare = sizes.filter((size) => size < SMALL_CLASS).length / sizes.length;
+    score = Math.max(score, smallShare > 0 ? Math.min(69, Math.round(45 + 24 * smallShare)) : 30);
+    reasons.push(`Quasi-identifiers (${quasiIdentifiers.join(', ')}): ${(uniqueShare * 100).toFixed(0)}% of students unique, ${(smallShare * 100).toFixed(0)}% in classes under ${SMALL_CLASS}`);
+  }
+
+  return {
+    score,
+    suggestedLabelId: labelForScore(score),
+    directIdentifiers,
+    linkableIdentifiers,
+    quasiIdentifiers,
+    uniqueShare,
+    smallShare,
+    minCellSize,
+    reasons,
+  };
+}
+
+/**
+ * Compare assigned label ids with the suggestion. Only the default sensitivity labels are ranked;
+ * custom labels are ignored.
+ */
+export function compareSensitivity(assignedIds, suggestedId) {
+  const ranked = assignedIds.filter((id) => SENSITIVITY_ORDER.includes(id));
+  if (ranked.length === 0) return 'unlabelled';
+  const assignedRank = Math.max(...ranked.map((id) => SENSITIVITY_ORDER.indexOf(id)));
+  const suggestedRank = SENSITIVITY_ORDER.indexOf(suggestedId);
+  if (assignedRank === suggestedRank) return 'match';
+  return assignedRank < suggestedRank ? 'under' : 'over';
+}
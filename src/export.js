@@ -0,0 +1,175 @@
+/**
+ * Plain-text form of a rendered cell. Column renderers may return React elements (badges, spans);
+ * their text children are flattened so exports match what the table shows.
+ */
+export function plainText(node) {
+  if (node === null || node === undefined || typeof node === 'boolean') return '';
+  if (typeof node === 'string' || typeof node === 'number') return node;
+  if (Array.isArray(node)) return node.map((child) => plainText(child)).join('');
+  if (typeof node === 'object' && node.props) return plainText(node.props.children);
+  return String(node);
+}
+
+export function tabulate(columns, rows) {
+  return {
+    headers: columns.map((col) => col.label),
+    records: rows.map((row) => columns.map((col) => plainText(col.render ? col.render(row[col.key], row) : row[col.key]))),
+  };
+}
+
+function metadataEntries(metadata) {
+  return Object.entries(metadata).map(([key, value]) => [
+    key,
+    value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''),
+  ]);
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* Metadata goes first as `#`-prefixed comment lines, then a normal header row and records. */
+export function toCsv(metadata, table) {
+  const lines = metadataEntries(metadata).map(([key, value]) => `# ${key}: ${value.replace(/\r?\n/g, ' ')}`);
+  lines.push(table.headers.map(csvCell).join(','));
+  table.records.forEach((record) => lines.push(record.map(csvCell).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+export function toJson(metadata, table) {
+  const rows = table.records.map((record) => Object.fromEntries(table.headers.map((header, idx) => [header, record[idx]])));
+  return `${JSON.stringify({ metadata, columns: table.headers, rows }, null, 2)}\n`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/* Minimal ZIP writer (stored entries, no compression), enough for an XLSX package. */
+function zip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    out.set(part, position);
+    position += part.length;
+  });
+  return out;
+}
+
+function xmlEscape(value) {
+  return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetXml(rows) {
+  const body = rows.map((cells, r) => {
+    const xmlCells = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${xmlCells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+/* Workbook with the rows on a "Data" sheet and the metadata header on a "Metadata" sheet. */
+export function toXlsx(metadata, table) {
+  const sheets = [
+    { name: 'Data', rows: [table.headers, ...table.records] },
+    { name: 'Metadata', rows: [['Key', 'Value'], ...metadataEntries(metadata)] },
+  ];
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+          + sheets.map((_, idx) => `<Override PartName="/xl/worksheets/sheet${idx + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+          + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>`
+          + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${rel}"><sheets>`
+          + sheets.map((sheet, idx) => `<sheet name="${sheet.name}" sheetId="${idx + 1}" r:id="rId${idx + 1}"/>`).join('')
+          + '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+          + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+          + sheets.map((_, idx) => `<Relationship Id="rId${idx + 1}" Type="${rel}/worksheet" Target="worksheets/sheet${idx + 1}.xml"/>`).join('')
+          + '</Relationships>',
+    },
+    ...sheets.map((sheet, idx) => ({ name: `xl/worksheets/sheet${idx + 1}.xml`, content: sheetXml(sheet.rows) })),
+  ]);
+}
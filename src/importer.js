@@ -0,0 +1,203 @@
+import {bandKey, itemKey, itemNumbers, scoredFields, subscaleKey} from './instruments.js';
+
+const RESPONSE_FIELDS = ['studentId', 'schoolId', 'yearGroup', 'ethnicity', 'wave'];
+const STUDENT_FIELDS = ['schoolId', 'yearGroup', 'ethnicity'];
+
+/**
+ * RFC 4180 CSV parser: quoted fields may contain commas, doubled quotes and line breaks.
+ * Returns one object per data row keyed by the header row.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const data = rows.filter((cells) => !(cells.length === 1 && cells[0].trim() === '') && !cells[0].startsWith('#'));
+  if (data.length === 0) return [];
+  const headers = data[0].map((header) => header.trim());
+  return data.slice(1).map((cells) => Object.fromEntries(headers.map((header, idx) => [header, cells[idx] ?? ''])));
+}
+
+/* Records from a CSV file or a JSON array (an object with a `rows` array is accepted too). */
+export function parseRecords(text, filename = '') {
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed?.rows;
+    if (!Array.isArray(rows)) throw new Error(`${filename || 'JSON file'} must contain an array of records.`);
+    return rows;
+  }
+  return parseCsv(text);
+}
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Check imported students and survey responses against the scenario (schools, yeargroups, waves)
+ * and its survey definitions, and normalise them to the generator's shapes. Empty item cells are
+ * kept as missing (null). Errors name the file, the 1-based data row and the field; any error means
+ * the import must not be used.
+ */
+export function validateImport({ students: studentRows = null, responses: responseRows }, scenario) {
+  const errors = [];
+  const warnings = [];
+  const schoolIds = new Set(scenario.schools.map((school) => school.id));
+  const yearGroups = new Set(scenario.yearGroups);
+  const waves = new Set(scenario.waves);
+  const report = (file, row, field, message) => errors.push({ file, row, field, message });
+
+  const checkContext = (file, row, record) => {
+    if (!schoolIds.has(record.schoolId)) {
+      report(file, row, 'schoolId', `Unknown school "${record.schoolId}"; add it in the Scenario panel first.`);
+    }
+    if (!yearGroups.has(record.yearGroup)) report(file, row, 'yearGroup', `Unknown yeargroup "${record.yearGroup}".`);
+    if (!record.ethnicity) report(file, row, 'ethnicity', 'Missing ethnicity.');
+  };
+
+  const students = new Map();
+  if (studentRows) {
+    studentRows.forEach((raw, idx) => {
+      const row = idx + 1;
+      const student = {
+        id: text(raw.id ?? raw.studentId),
+        schoolId: text(raw.schoolId),
+        yearGroup: text(raw.yearGroup),
+        name: text(raw.name),
+        ethnicity: text(raw.ethnicity),
+      };
+      if (!student.id) {
+        report('students', row, 'id', 'Missing student id.');
+        return;
+      }
+      if (students.has(student.id)) {
+        report('students', row, 'id', `Duplicate student id "${student.id}".`);
+        return;
+      }
+      checkContext('students', row, student);
+      students.set(student.id, student);
+    });
+  }
+
+  const itemKeys = new Set(scenario.surveys.flatMap((survey) => itemNumbers(survey).map((item) => itemKey(survey, item))));
+  const totalKeys = new Set(scenario.surveys.flatMap((survey) => [
+    `${survey.id}-total`,
+    bandKey(survey),
+    ...survey.subscales.map((subscale) => subscaleKey(survey, subscale)),
+  ]));
+  const unknownColumns = new Set();
+  const seen = new Set();
+  const responses = [];
+
+  (responseRows || []).forEach((raw, idx) => {
+    const row = idx + 1;
+    const response = Object.fromEntries(RESPONSE_FIELDS.map((field) => [field, text(raw[field])]));
+    const errorCount = errors.length;
+    if (!response.studentId) report('responses', row, 'studentId', 'Missing studentId.');
+    checkContext('responses', row, response);
+    if (!waves.has(response.wave)) report('responses', row, 'wave', `Unknown wave "${response.wave}".`);
+
+    const key = `${response.studentId}|${response.wave}`;
+    if (response.studentId && seen.has(key)) {
+      report('responses', row, 'wave', `Duplicate response for ${response.studentId} in ${response.wave}.`);
+    }
+    seen.add(key);
+
+    if (studentRows && response.studentId) {
+      const student = students.get(response.studentId);
+      if (!student) {
+        report('responses', row, 'studentId', `Student "${response.studentId}" is not in the students file.`);
+      } else {
+        STUDENT_FIELDS.forEach((field) => {
+          if (student[field] !== response[field]) {
+            report('responses', row, field, `${field} "${response[field]}" differs from the students file ("${student[field]}").`);
+          }
+        });
+      }
+    } else if (response.studentId && !students.has(response.studentId)) {
+      students.set(response.studentId, {
+        id: response.studentId,
+        schoolId: response.schoolId,
+        yearGroup: response.yearGroup,
+        name: '',
+        ethnicity: response.ethnicity,
+      });
+    } else if (response.studentId) {
+      const student = students.get(response.studentId);
+      STUDENT_FIELDS.forEach((field) => {
+        if (student[field] !== response[field]) {
+          report('responses', row, field, `${field} changes between waves for ${response.studentId}.`);
+        }
+      });
+    }
+
+    scenario.surveys.forEach((survey) => {
+      const { min, max } = survey.responseRange;
+      const items = {};
+      itemNumbers(survey).forEach((item) => {
+        const field = itemKey(survey, item);
+        const value = text(raw[field]);
+        const score = Number(value);
+        if (value === '') {
+          items[field] = null;
+        } else if (!Number.isInteger(score) || score < min || score > max) {
+          report('responses', row, field, `Score "${value}" is not an integer from ${min} to ${max}.`);
+        } else {
+          items[field] = score;
+        }
+      });
+      const scored = scoredFields(survey, items);
+      const declared = text(raw[`${survey.id}-total`]);
+      const total = scored[`${survey.id}-total`];
+      const complete = Object.values(items).every((score) => score !== null);
+      if (declared !== '' && complete && Number(declared) !== total && errors.length === errorCount) {
+        report('responses', row, `${survey.id}-total`, `Total ${declared} does not match the scored total ${total}.`);
+      }
+      Object.assign(response, scored, items);
+    });
+
+    Object.keys(raw).forEach((field) => {
+      if (RESPONSE_FIELDS.includes(field) || itemKeys.has(field) || totalKeys.has(field)) return;
+      unknownColumns.add(field);
+    });
+    responses.push(response);
+  });
+
+  if (!responseRows || responseRows.length === 0) report('responses', 0, '', 'No survey responses found.');
+  if (unknownColumns.size > 0) {
+    warnings.push(`Ignored columns not in the survey definitions: ${[...unknownColumns].join(', ')}.`);
+  }
+
+  return { students: [...students.values()], responses, errors, warnings };
+}
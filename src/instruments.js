@@ -0,0 +1,287 @@
+/*
+ * Survey instrument registry. Each instrument declares its response range, reverse-scored items,
+ * subscales, which items or subscales make up the total, how many missing items may be
+ * prorated and, for PHQ-9 and GAD-7, the published clinical severity bands of the total and the
+ * reliability (internal consistency, normative SD) and caseness cut-off used for reliable change.
+ * Those parameters reproduce the usual reliable-change criteria of 6 points (PHQ-9) and 4 (GAD-7).
+ * PHQ-9 and GAD-7 item wording is public domain; SDQ, WEMWBS and RCADS wording is licensed, so only
+ * generic item labels are shown for them.
+ */
+const FREQUENCY_LABELS = ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'];
+
+const band = (id, name, min, max) => ({ id, name, min, max });
+
+export const INSTRUMENTS = {
+  phq9: {
+    id: 'phq9',
+    name: 'PHQ-9',
+    items: 9,
+    responseRange: { min: 0, max: 3 },
+    responseLabels: FREQUENCY_LABELS,
+    higherIsWorse: true,
+    reverseScored: [],
+    subscales: [],
+    totalSubscales: null,
+    prorating: { maxMissing: 2 },
+    severityBands: [
+      band('minimal', 'Minimal', 0, 4),
+      band('mild', 'Mild', 5, 9),
+      band('moderate', 'Moderate', 10, 14),
+      band('moderately-severe', 'Moderately severe', 15, 19),
+      band('severe', 'Severe', 20, 27),
+    ],
+    reliability: { coefficient: 0.89, sd: 6.5 },
+    clinicalCutoff: 10,
+    itemWording: [
+      'Little interest or pleasure in doing things',
+      'Feeling down, depressed, or hopeless',
+      'Trouble falling or staying asleep, or sleeping too much',
+      'Feeling tired or having little energy',
+      'Poor appetite or overeating',
+      'Feeling bad about yourself, or that you are a failure or have let yourself or your family down',
+      'Trouble concentrating on things, such as reading or watching television',
+      'Moving or speaking so slowly that other people could have noticed, or being so fidgety or restless that you have been moving around a lot more than usual',
+      'Thoughts that you would be better off dead, or of hurting yourself in some way',
+    ],
+  },
+  gad7: {
+    id: 'gad7',
+    name: 'GAD-7',
+    items: 7,
+    responseRange: { min: 0, max: 3 },
+    responseLabels: FREQUENCY_LABELS,
+    higherIsWorse: true,
+    reverseScored: [],
+    subscales: [],
+    totalSubscales: null,
+    prorating: { maxMissing: 1 },
+    severityBands: [
+      band('minimal', 'Minimal', 0, 4),
+      band('mild', 'Mild', 5, 9),
+      band('moderate', 'Moderate', 10, 14),
+      band('severe', 'Severe', 15, 21),
+    ],
+    reliability: { coefficient: 0.92, sd: 5.1 },
+    clinicalCutoff: 8,
+    itemWording: [
+      'Feeling nervous, anxious, or on edge',
+      'Not being able to stop or control worrying',
+      'Worrying too much about different things',
+      'Trouble relaxing',
+      'Being so restless that it is hard to sit still',
+      'Becoming easily annoyed or irritable',
+      'Feeling afraid, as if something awful might happen',
+    ],
+  },
+  sdq: {
+    id: 'sdq',
+    name: 'SDQ',
+    items: 25,
+    responseRange: { min: 0, max: 2 },
+    responseLabels: ['Not true', 'Somewhat true', 'Certainly true'],
+    higherIsWorse: true,
+    reverseScored: [7, 11, 14, 21, 25],
+    subscales: [
+      { id: 'emotional', name: 'Emotional symptoms', items: [3, 8, 13, 16, 24] },
+      { id: 'conduct', name: 'Conduct problems', items: [5, 7, 12, 18, 22] },
+      { id: 'hyperactivity', name: 'Hyperactivity', items: [2, 10, 15, 21, 25] },
+      { id: 'peer', name: 'Peer problems', items: [6, 11, 14, 19, 23] },
+      { id: 'prosocial', name: 'Prosocial', items: [1, 4, 9, 17, 20] },
+    ],
+    totalSubscales: ['emotional', 'conduct', 'hyperactivity', 'peer'],
+    prorating: { maxMissing: 2 },
+    severityBands: [],
+    reliability: null,
+    clinicalCutoff: null,
+    itemWording: [],
+  },
+  wemwbs: {
+    id: 'wemwbs',
+    name: 'WEMWBS',
+    items: 14,
+    responseRange: { min: 1, max: 5 },
+    responseLabels: ['None of the time', 'Rarely', 'Some of the time', 'Often', 'All of the time'],
+    higherIsWorse: false,
+    reverseScored: [],
+    subscales: [],
+    totalSubscales: null,
+    prorating: { maxMissing: 3 },
+    severityBands: [],
+    reliability: null,
+    clinicalCutoff: null,
+    itemWording: [],
+  },
+  rcads: {
+    id: 'rcads',
+    name: 'RCADS',
+    items: 47,
+    responseRange: { min: 0, max: 3 },
+    responseLabels: ['Never', 'Sometimes', 'Often', 'Always'],
+    higherIsWorse: true,
+    reverseScored: [],
+    subscales: [
+      { id: 'separation', name: 'Separation anxiety', items: [5, 9, 17, 18, 33, 45, 46] },
+      { id: 'generalised', name: 'Generalised anxiety', items: [1, 13, 22, 27, 35, 37] },
+      { id: 'panic', name: 'Panic', items: [3, 14, 24, 26, 28, 34, 36, 39, 41] },
+      { id: 'social', name: 'Social phobia', items: [4, 7, 8, 12, 20, 30, 32, 38, 43] },
+      { id: 'ocd', name: 'Obsessive-compulsive', items: [10, 16, 23, 31, 42, 44] },
+      { id: 'depression', name: 'Major depression', items: [2, 6, 11, 15, 19, 21, 25, 29, 40, 47] },
+    ],
+    totalSubscales: ['separation', 'generalised', 'panic', 'social', 'ocd', 'depression'],
+    prorating: { maxMissing: 2 },
+    severityBands: [],
+    reliability: null,
+    clinicalCutoff: null,
+    itemWording: [],
+  },
+};
+
+const AD_HOC_DEFAULTS = {
+  responseRange: { min: 0, max: 3 },
+  responseLabels: [],
+  higherIsWorse: true,
+  reverseScored: [],
+  subscales: [],
+  totalSubscales: null,
+  prorating: { maxMissing: 0 },
+  severityBands: [],
+  reliability: null,
+  clinicalCutoff: null,
+  itemWording: [],
+};
+
+/**
+ * Full definition for a scenario survey entry: a registry id, a registry entry with overrides, or an
+ * ad-hoc `{ id, name, items }` survey (0–3 items, plain sum). Throws an Error on inconsistent rules.
+ */
+export function resolveInstrument(entry) {
+  const id = typeof entry === 'string' ? entry : entry?.id;
+  const base = INSTRUMENTS[id];
+  if (!base && typeof entry === 'string') throw new Error(`Unknown survey instrument ${entry}`);
+  const survey = { ...(base || AD_HOC_DEFAULTS), ...(typeof entry === 'object' ? entry : {}) };
+  if (!survey.name) survey.name = id;
+
+  const { min, max } = survey.responseRange;
+  if (!Number.isInteger(survey.items) || survey.items < 1) throw new Error(`Survey ${id} needs at least one item`);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+    throw new Error(`Survey ${id} needs a whole-number response range with min < max`);
+  }
+  const inRange = (item) => Number.isInteger(item) && item >= 1 && item <= survey.items;
+  if (!survey.reverseScored.every(inRange)) throw new Error(`Survey ${id} reverse-scores an item it does not have`);
+  survey.subscales.forEach((subscale) => {
+    if (!subscale.items.every(inRange)) throw new Error(`Subscale ${subscale.id} of ${id} refers to an item it does not have`);
+  });
+  (survey.totalSubscales || []).forEach((subscaleId) => {
+    if (!survey.subscales.some((subscale) => subscale.id === subscaleId)) {
+      throw new Error(`Survey ${id} totals unknown subscale ${subscaleId}`);
+    }
+  });
+  if (survey.reliability && !(survey.reliability.coefficient > 0 && survey.reliability.coefficient < 1 && survey.reliability.sd > 0)) {
+    throw new Error(`Survey ${id} needs a reliability coefficient between 0 and 1 and a positive SD`);
+  }
+  survey.severityBands.forEach((entry) => {
+    if (!(entry.min <= entry.max)) throw new Error(`Severity band ${entry.id} of ${id} has min above max`);
+  });
+  return survey;
+}
+
+/* Registry id when the survey is an unmodified registry instrument, so scenario links stay short. */
+export function compactInstrument(survey) {
+  const base = INSTRUMENTS[survey.id];
+  return base && JSON.stringify(resolveInstrument(survey.id)) === JSON.stringify(survey) ? survey.id : survey;
+}
+
+export function itemKey(survey, item) {
+  return `${survey.id}-item-${item}`;
+}
+
+export function subscaleKey(survey, subscale) {
+  return `${survey.id}-sub-${subscale.id}`;
+}
+
+export function itemLabel(survey, item) {
+  const reversed = survey.reverseScored.includes(item) ? ' (R)' : '';
+  return `${survey.name} Item ${item}${reversed}`;
+}
+
+export function itemNumbers(survey) {
+  return Array.from({ length: survey.items }, (_, idx) => idx + 1);
+}
+
+/* Item numbers that make up the total score. */
+export function totalItems(survey) {
+  if (!survey.totalSubscales) return itemNumbers(survey);
+  return survey.subscales
+      .filter((subscale) => survey.totalSubscales.includes(subscale.id))
+      .flatMap((subscale) => subscale.items);
+}
+
+export function totalRange(survey) {
+  const count = totalItems(survey).length;
+  return { min: survey.responseRange.min * count, max: survey.responseRange.max * count };
+}
+
+export function bandKey(survey) {
+  return `${survey.id}-band`;
+}
+
+/* Severity band whose total-score range contains `total`, or null (no bands, or no total). */
+export function severityBand(survey, total) {
+  if (total === null || total === undefined) return null;
+  return survey.severityBands.find((entry) => total >= entry.min && total <= entry.max) || null;
+}
+
+/* Scored value of one item: reverse-scored items are mirrored within the response range. */
+export function scoreItem(survey, item, raw) {
+  const { min, max } = survey.responseRange;
+  return survey.reverseScored.includes(item) ? min + max - raw : raw;
+}
+
+function proratedSum(survey, items, response, maxMissing) {
+  // A plain loop: this runs once per subscale of every response whenever a dataset is scored or re-scored.
+  let sum = 0;
+  let answered = 0;
+  items.forEach((item) => {
+    const raw = response[itemKey(survey, item)];
+    if (typeof raw !== 'number' || !Number.isFinite(raw)) return;
+    sum += scoreItem(survey, item, raw);
+    answered += 1;
+  });
+  const missing = items.length - answered;
+  if (answered === 0 || missing > maxMissing) return null;
+  return missing === 0 ? sum : Math.round((sum * items.length) / answered);
+}
+
+/**
+ * Total and subscale scores of one response. Missing items are prorated (scaled up from the
+ * answered items) when no more than `maxMissing` (default `prorating.maxMissing`) are missing,
+ * otherwise the score is null. Totals built from subscales are null when any of those subscales is.
+ */
+export function scoreResponse(survey, response, { maxMissing = survey.prorating.maxMissing } = {}) {
+  const subscales = Object.fromEntries(survey.subscales.map((subscale) => [
+    subscale.id,
+    proratedSum(survey, subscale.items, response, maxMissing),
+  ]));
+  let total;
+  if (survey.totalSubscales) {
+    const parts = survey.totalSubscales.map((id) => subscales[id]);
+    total = parts.some((part) => part === null) ? null : parts.reduce((a, b) => a + b, 0);
+  } else {
+    total = proratedSum(survey, itemNumbers(survey), response, maxMissing);
+  }
+  return { total, subscales };
+}
+
+/*
+ * `<survey>-total`, one `<survey>-sub-<subscale>` field per subscale and, for banded instruments,
+ * `<survey>-band` (the severity band id of the total), scored from the raw items.
+ */
+export function scoredFields(survey, items, options) {
+  const { total, subscales } = scoreResponse(survey, items, options);
+  const fields = {
+    [`${survey.id}-total`]: total,
+    ...Object.fromEntries(survey.subscales.map((subscale) => [subscaleKey(survey, subscale), subscales[subscale.id]])),
+  };
+  if (survey.severityBands.length > 0) fields[bandKey(survey)] = severityBand(survey, total)?.id ?? null;
+  return fields;
+}
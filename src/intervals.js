@@ -0,0 +1,101 @@
+import {tCritical} from './stats.js';
+
+/* 95% confidence intervals for cell means and band shares. */
+export const MEAN_CI_METHODS = [
+  { id: 't', name: 't-distribution', description: 'Mean ± t(n − 1) × SE; exact for normal data and right for small cells.' },
+  { id: 'bootstrap', name: 'Bootstrap percentile', description: 'Middle 95% of the means of seeded resamples drawn with replacement.' },
+  { id: 'normal', name: 'Normal (1.96 × SE)', description: 'Large-sample approximation; too narrow for cells of 5–13 responses.' },
+];
+
+export const PROPORTION_CI_METHODS = [
+  { id: 'wilson', name: 'Wilson score', description: 'Stays within 0–100% and keeps its coverage for small counts.' },
+  { id: 'wald', name: 'Normal (Wald)', description: 'Share ± 1.96 × SE, clipped to 0–100%; poor near 0% and 100%.' },
+];
+
+export const DEFAULT_INTERVALS = { mean: 't', proportion: 'wilson', resamples: 1000 };
+
+const Z95 = 1.959963984540054;
+
+/**
+ * Fill a partial interval setting from the defaults and check it.
+ * Throws an Error describing the first problem found.
+ */
+export function normalizeIntervals(config = {}) {
+  const resolved = { ...DEFAULT_INTERVALS, ...config };
+  if (!MEAN_CI_METHODS.some((method) => method.id === resolved.mean)) {
+    throw new Error(`Unknown confidence interval method ${resolved.mean}`);
+  }
+  if (!PROPORTION_CI_METHODS.some((method) => method.id === resolved.proportion)) {
+    throw new Error(`Unknown proportion interval method ${resolved.proportion}`);
+  }
+  const resamples = Number(resolved.resamples);
+  if (!Number.isInteger(resamples) || resamples < 100 || resamples > 10000) {
+    throw new Error('Bootstrap resamples must be a whole number between 100 and 10000');
+  }
+  return { mean: resolved.mean, proportion: resolved.proportion, resamples };
+}
+
+/* Short name of the mean interval method, for column headers and chart titles. */
+export function meanMethodLabel({ mean, resamples }) {
+  const name = MEAN_CI_METHODS.find((method) => method.id === mean)?.name || mean;
+  return mean === 'bootstrap' ? `${name}, ${resamples} resamples` : name;
+}
+
+export function proportionMethodLabel({ proportion }) {
+  return PROPORTION_CI_METHODS.find((method) => method.id === proportion)?.name || proportion;
+}
+
+export function describeIntervals(intervals) {
+  return `Means: ${meanMethodLabel(intervals)}; band shares: ${proportionMethodLabel(intervals)}`;
+}
+
+/**
+ * 95% CI `[low, high]` of the mean of `values`, or null for fewer than two values. The bootstrap
+ * draws from `random`, which callers seed per cell so a table is the same on every build.
+ */
+export function meanInterval(values, { mean: method, resamples }, random) {
+  const n = values.length;
+  if (n < 2) return null;
+  const average = values.reduce((a, b) => a + b, 0) / n;
+  if (method === 'bootstrap') {
+    const means = new Float64Array(resamples);
+    for (let b = 0; b < resamples; b += 1) {
+      let sum = 0;
+      for (let i = 0; i < n; i += 1) sum += values[Math.floor(random() * n)];
+      means[b] = sum / n;
+    }
+    means.sort();
+    return [means[Math.floor(0.025 * (resamples - 1))], means[Math.ceil(0.975 * (resamples - 1))]];
+  }
+  const sd = Math.sqrt(values.reduce((acc, value) => acc + (value - average) ** 2, 0) / (n - 1));
+  const margin = (method === 't' ? tCritical(n - 1) : Z95) * (sd / Math.sqrt(n));
+  return [average - margin, average + margin];
+}
+
+/**
+ * 95% CI of a mean from its sufficient statistics (N, sum and sum of squares), so released cells can
+ * be pooled without their records. Null for fewer than two values, and for the bootstrap, which needs
+ * the values themselves.
+ */
+export function meanIntervalFromMoments(n, sum, sumOfSquares, { mean: method }) {
+  if (n < 2 || method === 'bootstrap') return null;
+  const average = sum / n;
+  const sd = Math.sqrt(Math.max(0, (sumOfSquares - n * average ** 2) / (n - 1)));
+  const margin = (method === 't' ? tCritical(n - 1) : Z95) * (sd / Math.sqrt(n));
+  return [average - margin, average + margin];
+}
+
+/* 95% CI `[low, high]` of the proportion `count / total` (both as fractions), or null when total is 0. */
+export function proportionInterval(count, total, method) {
+  if (!total) return null;
+  const share = count / total;
+  if (method === 'wald') {
+    const margin = Z95 * Math.sqrt((share * (1 - share)) / total);
+    return [Math.max(0, share - margin), Math.min(1, share + margin)];
+  }
+  const z2 = Z95 ** 2;
+  const denominator = 1 + z2 / total;
+  const centre = (share + z2 / (2 * total)) / denominator;
+  const margin = (Z95 / denominator) * Math.sqrt((share * (1 - share)) / total + z2 / (4 * total ** 2));
+  return [Math.max(0, centre - margin), Math.min(1, centre + margin)];
+}
@@ -1,7 +1,69 @@
-import React, {useEffect, useMemo, useRef, useState} from 'react';
+import React, {useCallback, useEffect, useMemo, useRef, useState} from 'react';
 import ReactDOM from 'react-dom/client';
 import Plotly from 'plotly.js-dist-min';
-import {buildDataset} from './data.js';
+import {
+  applyComplementarySuppression,
+  applyBandSuppression,
+  applySuppression,
+  bandCountKey,
+  bandShareBoundKeys,
+  bandShareKey,
+  buildDataFlow,
+  buildDataset,
+  buildImportedDataset,
+  createResampler,
+  DATA_CATEGORIES,
+  DEFAULT_SCENARIO,
+  DEFAULT_SUPPRESSION_THRESHOLD,
+  estimateStudentCount,
+  LARGE_SCALE_STUDENTS,
+  LOCAL_AUTHORITY_SCENARIO,
+  LOCAL_AUTHORITY_SCHOOLS,
+  meanIntervalFields,
+  normalizeScenario,
+  protectLinkedCounts,
+  resolveEntityAccess,
+  SCENARIO_LIMITS,
+  scopeDataset,
+  slugify,
+  summariseBands,
+} from './data.js';
+import {
+  analyseAnonymity,
+  assessSectionRisk,
+  buildHierarchies,
+  compareSensitivity,
+  collectReleases,
+  findMinimalGeneralisation,
+  QUASI_IDENTIFIERS,
+  runDifferencingAttack,
+} from './disclosure.js';
+import {createNoiseSource, DEFAULT_DP_SETTINGS, DP_MECHANISMS, privateSummary, queryEpsilon} from './privacy.js';
+import {auditSignature, createAuditEntry, detectTrackerPatterns, toJsonl} from './audit.js';
+import {plainText, tabulate, toCsv, toJson, toXlsx} from './export.js';
+import {parseRecords, validateImport} from './importer.js';
+import {buildDatasetSchemas, validateDataset} from './schemas.js';
+import {
+  applyMissingDataStrategy,
+  describeMissingData,
+  isAnswered,
+  MISSING_DATA_STRATEGIES,
+  MISSINGNESS_GROUPINGS,
+  summariseMissingness,
+} from './missing.js';
+import {CHANGE_CATEGORIES, computeReliableChange, reliableChangeThreshold, summariseChange} from './change.js';
+import {fitMixedModel, holmAdjust, welchAnova, welchTTest} from './stats.js';
+import {
+  describeIntervals,
+  MEAN_CI_METHODS,
+  meanInterval,
+  meanIntervalFromMoments,
+  meanMethodLabel,
+  PROPORTION_CI_METHODS,
+  proportionMethodLabel,
+} from './intervals.js';
+import {buildResponsePatterns, buildRetentionFlow, compareBaseline, countPatterns, retentionRates} from './retention.js';
+import {bandKey, compactInstrument, INSTRUMENTS, itemKey, itemLabel, itemNumbers, subscaleKey, totalRange} from './instruments.js';
 import './index.css';
 
 function clsx(...args) {
@@ -22,6 +84,8 @@ function clsx(...args) {
 
 const STORAGE_KEY = 'ib-label-sets';
 const DESCRIPTION_LIMIT = 140;
+const DEFAULT_SEED = 20241201;
+const MAX_SEED = 4294967295;
 
 const DEFAULT_LABELS = [
   {
@@ -84,28 +148,113 @@ function saveLabelSets(sets) {
 }
 
 function encodeDataForParam(data) {
-  return btoa(JSON.stringify(data));
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
 }
 
 function decodeDataFromParam(value) {
-  return JSON.parse(atob(value));
+  const bytes = Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
 }
 
-function computeMean(values) {
-  if (values.length === 0) return 0;
-  return values.reduce((a, b) => a + b, 0) / values.length;
+function parseSeed(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_SEED) return null;
+  return parsed;
+}
+
+function readSeedFromUrl() {
+  if (typeof window === 'undefined') return null;
+  return parseSeed(new URLSearchParams(window.location.search).get('seed'));
+}
+
+function writeSeedToUrl(seed) {
+  if (typeof window === 'undefined') return;
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed));
+  window.history.replaceState(null, '', url.toString());
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+function scenarioOverrides(scenario) {
+  const overrides = Object.fromEntries(
+      Object.entries(scenario).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_SCENARIO[key])),
+  );
+  if (overrides.surveys) overrides.surveys = overrides.surveys.map(compactInstrument);
+  if (JSON.stringify(overrides.schools) === JSON.stringify(LOCAL_AUTHORITY_SCHOOLS)) overrides.schools = 'local-authority';
+  return overrides;
+}
+
+function readScenarioFromUrl() {
+  if (typeof window === 'undefined') return null;
+  const raw = new URLSearchParams(window.location.search).get('scenario');
+  if (!raw) return null;
+  try {
+    return normalizeScenario(decodeDataFromParam(raw));
+  } catch (err) {
+    console.warn('Unable to load scenario from URL', err);
+    return null;
+  }
+}
+
+function writeScenarioToUrl(scenario) {
+  if (typeof window === 'undefined') return;
+  const url = new URL(window.location.href);
+  const overrides = scenarioOverrides(scenario);
+  if (Object.keys(overrides).length === 0) {
+    url.searchParams.delete('scenario');
+  } else {
+    url.searchParams.set('scenario', encodeDataForParam(overrides));
+  }
+  window.history.replaceState(null, '', url.toString());
+}
+
+function readViewFromUrl() {
+  if (typeof window === 'undefined') return null;
+  return new URLSearchParams(window.location.search).get('view') || null;
+}
+
+function writeViewToUrl(entityId) {
+  if (typeof window === 'undefined') return;
+  const url = new URL(window.location.href);
+  if (entityId) {
+    url.searchParams.set('view', entityId);
+  } else {
+    url.searchParams.delete('view');
+  }
+  window.history.replaceState(null, '', url.toString());
+}
+
+function uniqueId(base, taken) {
+  const root = slugify(base) || 'item';
+  let candidate = root;
+  let suffix = 1;
+  while (taken.includes(candidate)) {
+    suffix += 1;
+    candidate = `${root}-${suffix}`;
+  }
+  return candidate;
 }
 
-function computeStddev(values) {
-  if (values.length <= 1) return 0;
-  const mean = computeMean(values);
-  const variance = values.reduce((acc, val) => acc + (val - mean) ** 2, 0) / (values.length - 1);
-  return Math.sqrt(variance);
+function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
-function computeCi95(values) {
+function computeMean(values) {
   if (values.length === 0) return 0;
-  return 1.96 * (computeStddev(values) / Math.sqrt(values.length));
+  return values.reduce((a, b) => a + b, 0) / values.length;
 }
 
 function FilterRow({ schools, yearGroups, waves, ethnicities, filters, onChange, schoolToTtp }) {
@@ -169,41 +318,298 @@ function FilterRow({ schools, yearGroups, waves, ethnicities, filters, onChange,
   );
 }
 
-function DataTable({ columns, rows }) {
+const PAGE_SIZES = [25, 50, 100, 250];
+
+/* Rendered text of a cell, which is what the table sorts and filters on (school names, not ids). */
+function cellText(col, row) {
+  return String(plainText(col.render ? col.render(row[col.key], row) : row[col.key])).trim();
+}
+
+function compareCells(a, b) {
+  const numberA = Number(a.replace(/[%,]/g, ''));
+  const numberB = Number(b.replace(/[%,]/g, ''));
+  if (Number.isFinite(numberA) && Number.isFinite(numberB)) return numberA - numberB;
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Paged table sorted by clicking a header (ascending, descending, original order). `interactive`
+ * adds a search box, per-column filters and, when some rows are suppressed, a toggle to hide them.
+ * `onVisibleRowsChange` receives the searched, filtered and sorted rows (all pages), e.g. for export.
+ */
+function DataTable({ columns, rows, interactive = false, onVisibleRowsChange }) {
+  const [sort, setSort] = useState(null);
+  const [query, setQuery] = useState('');
+  const [columnFilters, setColumnFilters] = useState({});
+  const [showSuppressed, setShowSuppressed] = useState(true);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+
+  const hasSuppressed = interactive && rows.some((row) => row?.suppressed);
+
+  // Lower-cased cell text of the columns being searched, filtered or sorted on. It is only rebuilt when
+  // that set of columns changes, so typing in a search box does not re-render every cell of a large table.
+  const needle = query.trim().toLowerCase();
+  const indexedKeys = (needle
+      ? columns.map((col) => col.key)
+      : [sort?.key, ...Object.keys(columnFilters).filter((key) => columnFilters[key].trim())].filter(Boolean)).join('\n');
+  const textIndex = useMemo(() => {
+    const keys = new Set(indexedKeys.split('\n'));
+    return new Map(columns
+        .filter((col) => keys.has(col.key))
+        .map((col) => [col.key, rows.map((row) => cellText(col, row).toLowerCase())]));
+  }, [columns, indexedKeys, rows]);
+
+  const visible = useMemo(() => {
+    const columnText = (col) => textIndex.get(col.key);
+    const filters = columns
+        .map((col) => [columnText(col), (columnFilters[col.key] || '').trim().toLowerCase()])
+        .filter(([, value]) => value);
+    const searched = needle ? columns.map(columnText) : [];
+    const kept = rows
+        .map((row, index) => ({ row, index }))
+        .filter(({ row }) => showSuppressed || !row?.suppressed)
+        .filter(({ index }) => !needle || searched.some((texts) => texts[index].includes(needle)))
+        .filter(({ index }) => filters.every(([texts, value]) => texts[index].includes(value)));
+    const column = sort && columns.find((col) => col.key === sort.key);
+    if (!column) return kept;
+    const texts = columnText(column);
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    const blank = (entry) => texts[entry.index] === '' || texts[entry.index] === '—';
+    return kept.sort((a, b) => {
+      if (blank(a) !== blank(b)) return blank(a) ? 1 : -1;
+      return direction * compareCells(texts[a.index], texts[b.index]) || a.index - b.index;
+    });
+  }, [columns, columnFilters, needle, rows, showSuppressed, sort, textIndex]);
+
+  useEffect(() => {
+    onVisibleRowsChange?.(visible.map(({ row }) => row));
+  }, [onVisibleRowsChange, visible]);
+
+  const pageCount = Math.max(1, Math.ceil(visible.length / pageSize));
+  const current = Math.min(page, pageCount - 1);
+  const shown = visible.slice(current * pageSize, (current + 1) * pageSize);
+
+  const toggleSort = (key) => {
+    setSort((previous) => {
+      if (previous?.key !== key) return { key, direction: 'asc' };
+      return previous.direction === 'asc' ? { key, direction: 'desc' } : null;
+    });
+    setPage(0);
+  };
+  const setColumnFilter = (key, value) => {
+    setColumnFilters((previous) => ({ ...previous, [key]: value }));
+    setPage(0);
+  };
+
   return (
-      <div className="table-wrapper">
-        <table className="table table-zebra w-full">
-          <thead>
-          <tr>
-            {columns.map((col) => (
-                <th key={col.key} className="text-sm text-base-content/70">
-                  {col.label}
-                </th>
-            ))}
-          </tr>
-          </thead>
-          <tbody>
-          {rows.map((row, idx) => {
-            const suppressed = Boolean(row?.suppressed);
-            return (
-                <tr key={idx} className={clsx({
-                  "hover:bg-base-200/70": !suppressed,
-                  "!bg-error/70": suppressed,
-                })}>
+      <div className="space-y-2">
+        {interactive && (
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                  type="search"
+                  className="input input-bordered input-sm w-full md:w-72"
+                  placeholder="Search all columns"
+                  value={query}
+                  onChange={(e) => {
+                    setQuery(e.target.value);
+                    setPage(0);
+                  }}
+              />
+              {hasSuppressed && (
+                  <label className="label cursor-pointer gap-2">
+                    <input
+                        type="checkbox"
+                        className="toggle toggle-sm"
+                        checked={showSuppressed}
+                        onChange={(e) => {
+                          setShowSuppressed(e.target.checked);
+                          setPage(0);
+                        }}
+                    />
+                    <span className="label-text">Show suppressed rows</span>
+                  </label>
+              )}
+              {visible.length !== rows.length && (
+                  <span className="small-note">{visible.length} of {rows.length} rows match</span>
+              )}
+            </div>
+        )}
+        <div className="table-wrapper">
+          <table className="table table-zebra w-full">
+            <thead>
+            <tr>
+              {columns.map((col) => {
+                const direction = sort?.key === col.key ? sort.direction : null;
+                return (
+                    <th
+                        key={col.key}
+                        className="text-sm text-base-content/70"
+                        title={col.title}
+                        aria-sort={direction ? `${direction}ending` : undefined}
+                    >
+                      <button type="button" className="flex items-center gap-1 text-left" onClick={() => toggleSort(col.key)}>
+                        {col.label}
+                        <span className="text-xs">{direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : ''}</span>
+                      </button>
+                    </th>
+                );
+              })}
+            </tr>
+            {interactive && (
+                <tr>
                   {columns.map((col) => (
-                      <td key={col.key} className="text-sm">
-                        {col.render ? col.render(row[col.key], row) : row[col.key]}
-                      </td>
+                      <th key={col.key}>
+                        <input
+                            type="search"
+                            className="input input-bordered input-xs w-full min-w-16"
+                            placeholder="Filter"
+                            aria-label={`Filter ${plainText(col.label)}`}
+                            value={columnFilters[col.key] || ''}
+                            onChange={(e) => setColumnFilter(col.key, e.target.value)}
+                        />
+                      </th>
                   ))}
                 </tr>
-            );
-          })}
-          </tbody>
-        </table>
+            )}
+            </thead>
+            <tbody>
+            {shown.map(({ row, index }) => {
+              const suppressed = Boolean(row?.suppressed);
+              const secondary = suppressed && row.suppressionType === 'secondary';
+              return (
+                  <tr key={index} className={clsx({
+                    "hover:bg-base-200/70": !suppressed,
+                    "!bg-error/70": suppressed && !secondary,
+                    "!bg-warning/70": secondary,
+                  })}>
+                    {columns.map((col) => (
+                        <td key={col.key} className="text-sm">
+                          {col.render ? col.render(row[col.key], row) : row[col.key]}
+                        </td>
+                    ))}
+                  </tr>
+              );
+            })}
+            {shown.length === 0 && rows.length > 0 && (
+                <tr>
+                  <td colSpan={columns.length} className="text-sm text-base-content/60">No rows match the filters.</td>
+                </tr>
+            )}
+            </tbody>
+          </table>
+        </div>
+        {visible.length > PAGE_SIZES[0] && (
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <div className="join">
+                <button type="button" className="join-item btn btn-xs" disabled={current === 0} onClick={() => setPage(0)}>«</button>
+                <button type="button" className="join-item btn btn-xs" disabled={current === 0} onClick={() => setPage(current - 1)}>‹</button>
+                <span className="join-item btn btn-xs btn-disabled">Page {current + 1} of {pageCount}</span>
+                <button type="button" className="join-item btn btn-xs" disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)}>›</button>
+                <button type="button" className="join-item btn btn-xs" disabled={current >= pageCount - 1} onClick={() => setPage(pageCount - 1)}>»</button>
+              </div>
+              <span className="small-note">
+                Rows {current * pageSize + 1}–{current * pageSize + shown.length} of {visible.length}
+              </span>
+              <label className="flex items-center gap-2">
+                <span className="small-note">Per page</span>
+                <select
+                    className="select select-bordered select-xs"
+                    value={pageSize}
+                    onChange={(e) => {
+                      setPageSize(Number(e.target.value));
+                      setPage(0);
+                    }}
+                >
+                  {PAGE_SIZES.map((size) => (
+                      <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+        )}
       </div>
   );
 }
 
+function renderSuppressionType(value) {
+  if (!value) return '—';
+  return (
+      <span className={clsx('badge badge-sm', value === 'secondary' ? 'badge-warning' : 'badge-error')}>
+        {value}
+      </span>
+  );
+}
+
+const SEVERITY_COLORS = {
+  minimal: '#16a34a',
+  mild: '#facc15',
+  moderate: '#f97316',
+  'moderately-severe': '#dc2626',
+  severe: '#7f1d1d',
+};
+
+function severityColor(band, idx) {
+  return SEVERITY_COLORS[band.id] || ['#16a34a', '#facc15', '#f97316', '#dc2626', '#7f1d1d'][idx % 5];
+}
+
+function renderBand(survey) {
+  return (value) => {
+    const idx = survey.severityBands.findIndex((band) => band.id === value);
+    if (idx === -1) return '—';
+    const band = survey.severityBands[idx];
+    return (
+        <span className="badge badge-sm whitespace-nowrap text-white" style={{ backgroundColor: severityColor(band, idx) }}>
+          {band.name}
+        </span>
+    );
+  };
+}
+
+/* Plotly error bars for points `{ mean, ci: [low, high] }`; intervals may be asymmetric (bootstrap). */
+function intervalErrorBars(points) {
+  return {
+    type: 'data',
+    symmetric: false,
+    array: points.map((point) => (point?.ci ? Number((point.ci[1] - point.mean).toFixed(2)) : null)),
+    arrayminus: points.map((point) => (point?.ci ? Number((point.mean - point.ci[0]).toFixed(2)) : null)),
+    visible: true,
+  };
+}
+
+function formatBounds(low, high) {
+  return low === null || low === undefined ? '—' : `${low} to ${high}`;
+}
+
+/* N, mean and 95% CI columns of a survey; `method` names the interval method in the CI header. */
+function meanColumns(survey, method) {
+  return [
+    { key: `${survey.id}-n`, label: `${survey.name} N` },
+    { key: `${survey.id}-mean`, label: `${survey.name} Mean Total` },
+    {
+      key: `${survey.id}-ciLow`,
+      label: `${survey.name} 95% CI (${method})`,
+      render: (value, row) => formatBounds(value, row[`${survey.id}-ciHigh`]),
+    },
+  ];
+}
+
+/* One "count (percent, 95% CI)" column per severity band; null counts were withheld by band suppression. */
+function bandColumns(survey, intervals) {
+  return survey.severityBands.map((band) => ({
+    key: bandCountKey(survey, band),
+    label: `${survey.name} ${band.name}`,
+    title: `Total ${band.min}–${band.max}; share with its 95% CI (${proportionMethodLabel(intervals)})`,
+    render: (value, row) => {
+      if (value === undefined) return '—';
+      if (value === null) return <span className="text-base-content/60">withheld</span>;
+      const [lowKey, highKey] = bandShareBoundKeys(survey, band);
+      const bounds = typeof row[lowKey] === 'number' ? `, ${row[lowKey]}–${row[highKey]}` : '';
+      return `${value} (${row[bandShareKey(survey, band)]}%${bounds})`;
+    },
+  }));
+}
+
 function LabelBadge({ label, onRemove }) {
   return (
       <span
@@ -254,7 +660,77 @@ function LabelPicker({ allLabels, selectedIds, onAdd }) {
   );
 }
 
+const SENSITIVITY_VERDICTS = {
+  match: { className: 'alert-success', text: 'Assigned label matches the measured risk.' },
+  under: { className: 'alert-error', text: 'Assigned label is less sensitive than the measured risk.' },
+  over: { className: 'alert-info', text: 'Assigned label is more cautious than the measured risk.' },
+  unlabelled: { className: 'alert-warning', text: 'No sensitivity label assigned yet.' },
+};
+
+function RiskAssessment({ rows, labelOptions, assignedLabels, onAddLabel }) {
+  const risk = useMemo(() => assessSectionRisk(rows), [rows]);
+  const suggested = labelOptions.find((label) => label.id === risk.suggestedLabelId)
+      || DEFAULT_LABELS.find((label) => label.id === risk.suggestedLabelId);
+  const verdict = compareSensitivity(assignedLabels.map((label) => label.id), risk.suggestedLabelId);
+  const canApply = verdict !== 'match'
+      && labelOptions.some((label) => label.id === risk.suggestedLabelId)
+      && !assignedLabels.some((label) => label.id === risk.suggestedLabelId);
+
+  return (
+      <div className={clsx('alert text-sm py-2 items-start', SENSITIVITY_VERDICTS[verdict].className)}>
+        <div className="space-y-1 w-full">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-semibold">Measured risk {risk.score}/100</span>
+            <span>Suggested:</span>
+            {suggested && <LabelBadge label={suggested} />}
+            <span>{SENSITIVITY_VERDICTS[verdict].text}</span>
+            {canApply && (
+                <button className="btn btn-xs" type="button" onClick={() => onAddLabel(risk.suggestedLabelId)}>
+                  Apply suggestion
+                </button>
+            )}
+          </div>
+          <ul className="list-disc list-inside text-xs">
+            {risk.reasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+            ))}
+          </ul>
+        </div>
+      </div>
+  );
+}
+
+const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', type: 'text/csv', build: toCsv },
+  { id: 'json', label: 'JSON', type: 'application/json', build: toJson },
+  { id: 'xlsx', label: 'XLSX', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: toXlsx },
+];
+
+function ExportButtons({ filename, columns, rows, metadata }) {
+  const exportAs = (format) => {
+    const table = tabulate(columns, rows);
+    const header = { ...metadata, exportedAt: new Date().toISOString(), rowCount: rows.length };
+    downloadFile(`${filename}.${format.id}`, format.build(header, table), format.type);
+  };
+
+  return (
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-base-content/70">Export</span>
+        {EXPORT_FORMATS.map((format) => (
+            <button key={format.id} className="btn btn-xs btn-outline" type="button" onClick={() => exportAs(format)}>
+              {format.label}
+            </button>
+        ))}
+      </div>
+  );
+}
+
+function sectionAnchor(sectionKey) {
+  return `section-${sectionKey}`;
+}
+
 function DatasetSection({
+  sectionKey,
   title,
   description,
   columns,
@@ -263,10 +739,12 @@ function DatasetSection({
   assignedLabels,
   onAddLabel,
   onRemoveLabel,
+  exportMetadata,
 }) {
+  const [visibleRows, setVisibleRows] = useState(rows);
 
   return (
-      <div className="section-card">
+      <div className="section-card" id={sectionKey ? sectionAnchor(sectionKey) : undefined}>
         <details open className="space-y-3">
           <summary className="flex items-center gap-2">
             <span className="text-primary">◆</span>
@@ -284,67 +762,1599 @@ function DatasetSection({
                     <span className="small-note">No labels yet.</span>
                 )}
               </div>
-              {labelOptions.length > 0 && (
-                  <LabelPicker allLabels={labelOptions} selectedIds={assignedLabels.map((l) => l.id)} onAdd={onAddLabel} />
-              )}
+              {labelOptions.length > 0 && (
+                  <LabelPicker allLabels={labelOptions} selectedIds={assignedLabels.map((l) => l.id)} onAdd={onAddLabel} />
+              )}
+            </div>
+            <RiskAssessment rows={rows} labelOptions={labelOptions} assignedLabels={assignedLabels} onAddLabel={onAddLabel} />
+            {exportMetadata && (
+                <ExportButtons filename={slugify(title)} columns={columns} rows={visibleRows} metadata={exportMetadata} />
+            )}
+          </div>
+          <DataTable columns={columns} rows={rows} interactive onVisibleRowsChange={setVisibleRows} />
+        </details>
+      </div>
+  );
+}
+
+function buildGroupKey(response, groupingFields, schoolToTtp) {
+  const valueOf = (field) => (field === 'ttpId' ? schoolToTtp?.[response.schoolId] || 'All TTPs' : response[field]);
+  return groupingFields.map((field) => valueOf(field) || 'All').join('|');
+}
+
+function exactSummary(group, surveys, intervals, resamplerFor) {
+  const summary = {};
+  surveys.forEach((survey) => {
+    const totals = group.map((entry) => entry[`${survey.id}-total`]).filter(isAnswered);
+    const totalScore = totals.reduce((a, b) => a + b, 0);
+    summary[`${survey.id}-total`] = Number(totalScore.toFixed(2));
+    summary[`${survey.id}-n`] = totals.length;
+    summary[`${survey.id}-mean`] = totals.length ? Number((totalScore / totals.length).toFixed(2)) : null;
+    const random = intervals.mean === 'bootstrap' ? resamplerFor(survey) : null;
+    Object.assign(summary, meanIntervalFields(survey, totals, intervals, random));
+    Object.assign(summary, summariseBands(group, survey, intervals));
+  });
+  // As in the static aggregates, N is the smallest survey base in the cell.
+  return { n: Math.min(...surveys.map((survey) => summary[`${survey.id}-n`])), ...summary };
+}
+
+function resolveGroupingFields(groupingFields) {
+  return Array.from(new Set([...groupingFields, 'wave']));
+}
+
+/*
+ * `domain` lists cells ({ schoolId, yearGroup, ethnicity, wave }) whose groups are summarised even
+ * when no response falls in them, so a noisy release does not reveal which groups have records.
+ */
+function groupAggregates(responses, groupingFields, schoolToTtp, summarise, domain = []) {
+  const grouped = new Map();
+  const samples = new Map();
+  const resolvedFields = resolveGroupingFields(groupingFields);
+  const groupFor = (record) => {
+    const key = buildGroupKey(record, resolvedFields, schoolToTtp);
+    if (!grouped.has(key)) {
+      grouped.set(key, []);
+      samples.set(key, record);
+    }
+    return grouped.get(key);
+  };
+
+  domain.forEach(groupFor);
+  responses.forEach((resp) => groupFor(resp).push(resp));
+
+  const aggregates = [];
+  for (const [key, group] of grouped.entries()) {
+    const sample = samples.get(key);
+
+    const resolveValue = (field, fallback) => {
+      if (!resolvedFields.includes(field)) return fallback;
+      if (field === 'ttpId') return schoolToTtp?.[sample.schoolId] || fallback;
+      return sample[field] ?? fallback;
+    };
+
+    aggregates.push({
+      groupKey: key,
+      ttpId: resolveValue('ttpId', 'All TTPs'),
+      schoolId: resolveValue('schoolId', 'All schools'),
+      yearGroup: resolveValue('yearGroup', 'All yeargroups'),
+      ethnicity: resolveValue('ethnicity', 'All ethnicities'),
+      wave: resolveValue('wave', 'All waves'),
+      ...summarise(group, key),
+    });
+  }
+  return aggregates;
+}
+
+/* Every school × yeargroup × ethnicity × wave cell the filters allow, whether or not it has records. */
+function filteredDomain({ schoolIds, yearGroups, ethnicities, waves }, filters) {
+  const allowed = (values, selected) => (selected === 'all' ? values : values.filter((value) => value === selected));
+  return allowed(schoolIds, filters.school).flatMap((schoolId) => allowed(yearGroups, filters.yearGroup).flatMap((yearGroup) => (
+    allowed(ethnicities, filters.ethnicity).flatMap((ethnicity) => allowed(waves, filters.wave).map((wave) => (
+      { schoolId, yearGroup, ethnicity, wave }
+    )))
+  )));
+}
+
+function suppressAggregates(aggregates, surveys, groupingFields, suppressionThreshold) {
+  const resolvedFields = resolveGroupingFields(groupingFields);
+  // Any grouping level can be unticked to publish its marginal totals, so each one is a differencing route.
+  const cells = applyComplementarySuppression(applySuppression(aggregates, suppressionThreshold), {
+    fields: resolvedFields,
+    linkedFields: resolvedFields.filter((field) => field !== 'wave'),
+    threshold: suppressionThreshold,
+    note: 'Suppressed (secondary): recoverable from a coarser grouping',
+  });
+  return applyBandSuppression(cells, surveys, suppressionThreshold);
+}
+
+/* Exact (unsuppressed) summaries of the responses; `suppressAggregates` decides what is released. */
+function aggregateResponses(responses, surveys, groupingFields, schoolToTtp, { intervals, seed }) {
+  return groupAggregates(responses, groupingFields, schoolToTtp, (group, key) => exactSummary(
+      group,
+      surveys,
+      intervals,
+      (survey) => createResampler(seed, `${key}|${survey.id}`),
+  ));
+}
+
+function SeedControls({ seed, onChange }) {
+  const [pending, setPending] = useState(String(seed));
+
+  useEffect(() => {
+    setPending(String(seed));
+  }, [seed]);
+
+  const parsed = parseSeed(pending);
+  const apply = () => {
+    if (parsed === null) {
+      setPending(String(seed));
+      return;
+    }
+    if (parsed !== seed) onChange(parsed);
+  };
+
+  return (
+      <form
+          className="flex flex-wrap items-end gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            apply();
+          }}
+      >
+        <label className="space-y-1">
+          <span className="text-sm font-medium text-base-content/70">Seed</span>
+          <input
+              type="number"
+              min={0}
+              max={MAX_SEED}
+              step={1}
+              className={clsx('input input-bordered input-sm w-36', { 'input-error': parsed === null })}
+              value={pending}
+              onChange={(e) => setPending(e.target.value)}
+              onBlur={apply}
+          />
+        </label>
+        <button className="btn btn-sm btn-outline" type="submit" disabled={parsed === null || parsed === seed}>
+          Apply
+        </button>
+        <button className="btn btn-sm btn-primary" type="button" onClick={() => onChange(randomSeed())}>
+          Regenerate
+        </button>
+      </form>
+  );
+}
+
+function EntitySwitcher({ entityMatrix, value, onChange }) {
+  const groups = [
+    { kind: 'university', label: 'University' },
+    { kind: 'ttp', label: 'Trusted Third Parties' },
+    { kind: 'school', label: 'Schools' },
+  ];
+
+  return (
+      <label className="flex items-center gap-2">
+        <span className="text-sm font-medium text-base-content/70">View as</span>
+        <select
+            className="select select-bordered select-sm"
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value || null)}
+        >
+          <option value="">Everything (facilitator)</option>
+          {groups.map((group) => (
+              <optgroup key={group.kind} label={group.label}>
+                {entityMatrix.filter((row) => row.kind === group.kind).map((row) => (
+                    <option key={row.entityId} value={row.entityId}>{row.entity}</option>
+                ))}
+              </optgroup>
+          ))}
+        </select>
+      </label>
+  );
+}
+
+function ChipList({ values, onRemove }) {
+  return (
+      <div className="inline-tags">
+        {values.map((value) => (
+            <span key={value} className="tag">
+              {value}
+              {values.length > 1 && (
+                  <button type="button" className="text-error" onClick={() => onRemove(value)} aria-label={`Remove ${value}`}>
+                    ×
+                  </button>
+              )}
+            </span>
+        ))}
+      </div>
+  );
+}
+
+const IMPORT_ERROR_LIMIT = 100;
+
+function readFileText(file) {
+  return typeof file.text === 'function'
+      ? file.text()
+      : new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
+}
+
+function ImportPanel({ scenario, active, activeErrors, onImport, onClear }) {
+  const [files, setFiles] = useState({ students: null, responses: null });
+  const [parseError, setParseError] = useState('');
+
+  const loadFile = async (kind, file) => {
+    setParseError('');
+    if (!file) {
+      setFiles((prev) => ({ ...prev, [kind]: null }));
+      return;
+    }
+    try {
+      const rows = parseRecords(await readFileText(file), file.name);
+      setFiles((prev) => ({ ...prev, [kind]: { name: file.name, rows } }));
+    } catch (err) {
+      setFiles((prev) => ({ ...prev, [kind]: null }));
+      setParseError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const validation = useMemo(() => (files.responses
+      ? validateImport({ students: files.students?.rows || null, responses: files.responses.rows }, scenario)
+      : null), [files, scenario]);
+
+  const downloadTemplate = () => {
+    const itemColumns = scenario.surveys.flatMap((survey) => itemNumbers(survey).map((item) => itemKey(survey, item)));
+    const header = ['studentId', 'schoolId', 'yearGroup', 'ethnicity', 'wave', ...itemColumns];
+    const example = [
+      'S-0001',
+      scenario.schools[0].id,
+      scenario.yearGroups[0],
+      Object.keys(scenario.namePools)[0],
+      scenario.waves[0],
+      ...scenario.surveys.flatMap((survey) => itemNumbers(survey).map(() => survey.responseRange.min)),
+    ];
+    downloadFile('survey-responses-template.csv', `${header.join(',')}\r\n${example.join(',')}\r\n`, 'text/csv');
+  };
+
+  const errorColumns = [
+    { key: 'file', label: 'File' },
+    { key: 'row', label: 'Row' },
+    { key: 'field', label: 'Field' },
+    { key: 'message', label: 'Problem' },
+  ];
+
+  return (
+      <div className="section-card">
+        <details open={Boolean(active)} className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Import survey data</span>
+            {active && <span className="badge badge-info badge-sm">using {active.responses}</span>}
+          </summary>
+          <p className="small-note">
+            Load de-identified extracts instead of the synthetic generator. Survey responses use the same columns as
+            the labelled responses table (studentId, schoolId, yearGroup, ethnicity, wave and one column per survey
+            item, e.g. phq9-item-1). A students file (id, schoolId, yearGroup, ethnicity, optional name) is optional;
+            without it students are taken from the responses. Schools, yeargroups and waves must exist in the scenario.
+            Credentials and UIDs are still issued from the seed.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="space-y-1">
+              <span className="text-sm font-medium text-base-content/70">Survey responses (CSV or JSON)</span>
+              <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  className="file-input file-input-bordered file-input-sm w-full"
+                  onChange={(e) => loadFile('responses', e.target.files?.[0])}
+              />
+            </label>
+            <label className="space-y-1">
+              <span className="text-sm font-medium text-base-content/70">Students (optional)</span>
+              <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  className="file-input file-input-bordered file-input-sm w-full"
+                  onChange={(e) => loadFile('students', e.target.files?.[0])}
+              />
+            </label>
+          </div>
+
+          {parseError && <div className="alert alert-error text-sm">{parseError}</div>}
+          {active && activeErrors?.length > 0 && (
+              <div className="alert alert-warning text-sm">
+                The imported data no longer matches the scenario ({activeErrors[0].message}); showing synthetic data until
+                the scenario is restored or the import is cleared.
+              </div>
+          )}
+          {validation && (
+              <div className="space-y-2">
+                <p className="text-sm">
+                  {validation.students.length} students and {validation.responses.length} responses read;{' '}
+                  <span className={clsx({ 'text-error font-semibold': validation.errors.length > 0 })}>
+                    {validation.errors.length} error{validation.errors.length === 1 ? '' : 's'}
+                  </span>.
+                </p>
+                {validation.warnings.map((warning) => (
+                    <p key={warning} className="small-note">{warning}</p>
+                ))}
+                {validation.errors.length > 0 && (
+                    <>
+                      <DataTable columns={errorColumns} rows={validation.errors.slice(0, IMPORT_ERROR_LIMIT)} />
+                      {validation.errors.length > IMPORT_ERROR_LIMIT && (
+                          <p className="small-note">Showing the first {IMPORT_ERROR_LIMIT} errors.</p>
+                      )}
+                    </>
+                )}
+              </div>
+          )}
+
+          <div className="flex flex-wrap justify-end gap-2">
+            <button className="btn btn-sm btn-ghost" type="button" onClick={downloadTemplate}>
+              Download template
+            </button>
+            {active && (
+                <button className="btn btn-sm btn-outline" type="button" onClick={onClear}>
+                  Back to synthetic data
+                </button>
+            )}
+            <button
+                className="btn btn-sm btn-primary"
+                type="button"
+                disabled={!validation || validation.errors.length > 0}
+                onClick={() => onImport({
+                  students: files.students?.rows || null,
+                  responses: files.responses.rows,
+                  source: { students: files.students?.name || null, responses: files.responses.name },
+                })}
+            >
+              Run pipeline on import
+            </button>
+          </div>
+        </details>
+      </div>
+  );
+}
+
+const SCHEMA_EXAMPLE_ROWS = 5;
+
+/* `validation` is the result already computed by the dataset worker for large builds. */
+function SchemaValidationPanel({ dataset, validation }) {
+  const schemas = useMemo(() => buildDatasetSchemas(dataset.scenario), [dataset.scenario]);
+  const result = useMemo(() => validation || validateDataset(dataset, schemas), [dataset, schemas, validation]);
+
+  const grouped = useMemo(() => {
+    const groups = new Map();
+    result.violations.forEach((violation) => {
+      const key = [violation.table, violation.field, violation.rule].join('|');
+      if (!groups.has(key)) groups.set(key, { ...violation, count: 0, rows: [] });
+      const group = groups.get(key);
+      group.count += 1;
+      if (group.rows.length < SCHEMA_EXAMPLE_ROWS) group.rows.push(violation.row);
+    });
+    return [...groups.values()];
+  }, [result]);
+
+  const tableColumns = [
+    { key: 'title', label: 'Dataset' },
+    { key: 'table', label: 'Key' },
+    { key: 'rows', label: 'Rows' },
+    {
+      key: 'violations',
+      label: 'Violations',
+      render: (value) => (
+          <span className={clsx('badge badge-sm', value ? 'badge-error' : 'badge-success')}>{value}</span>
+      ),
+    },
+  ];
+
+  const violationColumns = [
+    { key: 'table', label: 'Dataset' },
+    { key: 'field', label: 'Field', render: (value) => value || '—' },
+    { key: 'rule', label: 'Rule' },
+    { key: 'count', label: 'Rows affected' },
+    { key: 'rows', label: 'Example rows', render: (value) => value.join(', ') },
+    { key: 'message', label: 'Example' },
+  ];
+
+  return (
+      <div className="section-card">
+        <details className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Schema validation</span>
+            <span className={clsx('badge badge-sm', result.violations.length ? 'badge-error' : 'badge-success')}>
+              {result.violations.length ? `${result.violations.length} violations` : 'valid'}
+            </span>
+          </summary>
+          <p className="small-note">
+            Every dataset is checked against a JSON Schema built from the scenario: field types, allowed schools,
+            yeargroups and waves, item score ranges, and references such as UIDs that must exist in the rewrite map.
+          </p>
+          <DataTable columns={tableColumns} rows={result.tables.map((table) => ({ ...table, suppressed: table.violations > 0 }))} />
+          {grouped.length > 0 && <DataTable columns={violationColumns} rows={grouped} />}
+          <div className="flex justify-end">
+            <button
+                className="btn btn-sm btn-outline"
+                type="button"
+                onClick={() => downloadFile('dataset-schemas.json', `${JSON.stringify(schemas, null, 2)}\n`, 'application/json')}
+            >
+              Download schemas
+            </button>
+          </div>
+        </details>
+      </div>
+  );
+}
+
+function MissingDataPanel({ dataset, schoolLookup }) {
+  const [groupingId, setGroupingId] = useState('school-wave');
+  const grouping = MISSINGNESS_GROUPINGS.find((entry) => entry.id === groupingId);
+  const { surveys, waves } = dataset;
+
+  const rows = useMemo(() => {
+    const waveOrder = Object.fromEntries(waves.map((wave, idx) => [wave, idx]));
+    return summariseMissingness({
+      students: dataset.students,
+      responses: dataset.relabelledSurveyResponses,
+      surveys,
+      waves,
+    }, grouping.fields).sort((a, b) => String(a.schoolId ?? '').localeCompare(String(b.schoolId ?? ''))
+        || (waveOrder[a.wave] ?? 0) - (waveOrder[b.wave] ?? 0));
+  }, [dataset.relabelledSurveyResponses, dataset.students, grouping, surveys, waves]);
+
+  const groupColumns = [
+    ...(grouping.fields.includes('schoolId') ? [{ key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v }] : []),
+    ...(grouping.fields.includes('item') ? [{ key: 'label', label: 'Item' }] : []),
+    ...(grouping.fields.includes('wave') ? [{ key: 'wave', label: 'Wave' }] : []),
+  ];
+  const columns = grouping.fields.includes('item')
+      ? [
+        ...groupColumns,
+        { key: 'responses', label: 'Responses' },
+        { key: 'missing', label: 'Missing' },
+        { key: 'missingPct', label: 'Missing %' },
+      ]
+      : [
+        ...groupColumns,
+        { key: 'expected', label: 'Expected responses' },
+        { key: 'responses', label: 'Responses' },
+        { key: 'missingWaves', label: 'Missed waves' },
+        ...surveys.flatMap((survey) => [
+          {
+            key: `${survey.id}-missing`,
+            label: `${survey.name} missing items`,
+            render: (value, row) => `${value} (${row[`${survey.id}-missingPct`]}%)`,
+          },
+          { key: `${survey.id}-unscored`, label: `${survey.name} unscored totals` },
+        ]),
+      ];
+  const totalMissing = rows.reduce((sum, row) => sum + (row.missing ?? surveys.reduce((acc, s) => acc + row[`${s.id}-missing`], 0)), 0);
+
+  return (
+      <div className="section-card">
+        <details className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Missing data</span>
+            <span className="badge badge-sm badge-ghost">{totalMissing} missing items</span>
+          </summary>
+          <p className="small-note">
+            Missed waves count students with no response in a wave; missing items are blanks within a response. Unscored
+            totals are responses whose total the current strategy ({describeMissingData(dataset.scenario.missingData)})
+            could not score; they are left out of the aggregates rather than counted as 0.
+          </p>
+          <label className="daisy-select space-y-1 block max-w-xs">
+            <span>Report by</span>
+            <select value={groupingId} onChange={(e) => setGroupingId(e.target.value)}>
+              {MISSINGNESS_GROUPINGS.map((entry) => (
+                  <option key={entry.id} value={entry.id}>
+                    {entry.label}
+                  </option>
+              ))}
+            </select>
+          </label>
+          <DataTable columns={columns} rows={rows} />
+        </details>
+      </div>
+  );
+}
+
+const RETENTION_GROUPINGS = [
+  { id: '', label: 'All students' },
+  { id: 'schoolId', label: 'School' },
+  { id: 'yearGroup', label: 'Yeargroup' },
+  { id: 'ethnicity', label: 'Ethnicity' },
+];
+
+function formatDifference(row) {
+  if (row.difference === null) return '—';
+  return `${row.difference.toFixed(2)} (${(row.difference - row.ci95).toFixed(2)} to ${(row.difference + row.ci95).toFixed(2)})`;
+}
+
+function formatMeanSd({ n, mean, sd }) {
+  if (!n) return '—';
+  return sd === null ? mean.toFixed(2) : `${mean.toFixed(2)} (${sd.toFixed(2)})`;
+}
+
+function RetentionPanel({ dataset, schoolLookup }) {
+  const { relabelledSurveyResponses, surveys, waves } = dataset;
+  const [groupField, setGroupField] = useState('schoolId');
+  const [open, setOpen] = useState(false);
+  const chartRef = useRef(null);
+  const patterns = useMemo(() => buildResponsePatterns(relabelledSurveyResponses, waves), [relabelledSurveyResponses, waves]);
+  const flow = useMemo(() => buildRetentionFlow(patterns, waves), [patterns, waves]);
+  const rates = useMemo(() => retentionRates(patterns, waves, groupField), [groupField, patterns, waves]);
+  const baseline = useMemo(() => compareBaseline(patterns, surveys), [patterns, surveys]);
+  const patternCounts = useMemo(() => countPatterns(patterns), [patterns]);
+  const dropouts = patterns.filter((entry) => entry.responded[0] && !entry.responded[waves.length - 1]).length;
+
+  useEffect(() => {
+    // Plotly cannot size a chart inside a closed <details>, so draw once the panel is opened.
+    if (!open || !chartRef.current || waves.length < 2) return;
+    const position = (idx) => 0.01 + (0.98 * Math.floor(idx / 2)) / (waves.length - 1);
+    Plotly.react(chartRef.current, [{
+      type: 'sankey',
+      arrangement: 'snap',
+      node: {
+        label: flow.nodes.map((node) => node.label),
+        color: flow.nodes.map((node) => (node.responded ? FLOW_NODE_COLORS.school : UNLABELLED_COLOR)),
+        x: flow.nodes.map((_, idx) => position(idx)),
+        y: flow.nodes.map((node) => (node.responded ? 0.35 : 0.9)),
+        pad: 14,
+        thickness: 16,
+        line: { width: 0 },
+        hovertemplate: '%{label}<br>%{value} students<extra></extra>',
+      },
+      link: {
+        source: flow.links.map((link) => link.source),
+        target: flow.links.map((link) => link.target),
+        value: flow.links.map((link) => link.value),
+        color: flow.links.map((link) => withAlpha(link.retained ? FLOW_NODE_COLORS.school : UNLABELLED_COLOR, 0.4)),
+        hovertemplate: '%{source.label} → %{target.label}<br>%{value} students<extra></extra>',
+      },
+    }], {
+      margin: { t: 20, r: 10, l: 10, b: 20 },
+      font: { size: 12 },
+    }, { responsive: true });
+  }, [flow, open, waves.length]);
+
+  const groupLabel = RETENTION_GROUPINGS.find((entry) => entry.id === groupField)?.label || 'Group';
+  const rateColumns = [
+    { key: 'group', label: groupLabel, render: (v) => (groupField === 'schoolId' ? schoolLookup[v] || v : v) },
+    { key: 'baseline', label: `${waves[0]} respondents` },
+    ...waves.slice(1).map((wave) => ({
+      key: `${wave}-n`,
+      label: `Responded ${wave}`,
+      render: (value, row) => `${value} (${row[`${wave}-pct`]}%)`,
+    })),
+    { key: 'allWaves', label: 'Every wave', render: (value, row) => `${value} (${row.allWavesPct}%)` },
+  ];
+  const lastWave = waves[waves.length - 1];
+  const baselineColumns = [
+    { key: 'survey', label: `${waves[0]} score` },
+    { key: 'stayed', label: 'Stayed: n', render: (v) => v.n },
+    { key: 'stayedMean', label: 'Stayed: mean (SD)', render: (_, row) => formatMeanSd(row.stayed) },
+    { key: 'dropped', label: 'Dropped out: n', render: (v) => v.n },
+    { key: 'droppedMean', label: 'Dropped out: mean (SD)', render: (_, row) => formatMeanSd(row.dropped) },
+    { key: 'difference', label: 'Difference (95% CI)', render: (_, row) => formatDifference(row) },
+    { key: 'd', label: "Cohen's d", render: (v) => formatScore(v) },
+  ];
+  const patternColumns = [
+    { key: 'pattern', label: waves.join(' · '), render: (v) => <span className="font-mono tracking-widest">{v}</span> },
+    { key: 'count', label: 'Students' },
+    { key: 'share', label: '%' },
+  ];
+
+  return (
+      <div className="section-card">
+        <details className="space-y-3" onToggle={(e) => setOpen(e.currentTarget.open)}>
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Retention and attrition</span>
+            <span className="badge badge-sm badge-ghost">{patterns.length} UIDs, {dropouts} dropped out</span>
+          </summary>
+          <p className="small-note">
+            Response patterns per UID in the relabelled responses (● responded, ○ missed). Students who never responded
+            have no relabelled rows and are not counted. Retention is the share of {waves[0]} respondents who responded
+            again; dropouts responded in {waves[0]} but not in {lastWave}.
+          </p>
+          {waves.length < 2 ? (
+              <div className="alert alert-info text-sm">Retention needs at least two waves.</div>
+          ) : (
+              <>
+                <div className="chart-box">
+                  <div ref={chartRef} className="h-[360px]" />
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                  <div className="space-y-2">
+                    <h3 className="font-semibold text-base">Response patterns</h3>
+                    <DataTable columns={patternColumns} rows={patternCounts} />
+                  </div>
+                  <div className="space-y-2 lg:col-span-2">
+                    <div className="flex items-end justify-between gap-2">
+                      <h3 className="font-semibold text-base">Retention rates</h3>
+                      <label className="daisy-select space-y-1">
+                        <span>Group by</span>
+                        <select value={groupField} onChange={(e) => setGroupField(e.target.value)}>
+                          {RETENTION_GROUPINGS.map((entry) => (
+                              <option key={entry.id} value={entry.id}>
+                                {entry.label}
+                              </option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    <DataTable columns={rateColumns} rows={rates} />
+                  </div>
+                </div>
+                <h3 className="font-semibold text-base">Baseline scores: stayed vs dropped out</h3>
+                <DataTable columns={baselineColumns} rows={baseline} />
+                <p className="small-note">
+                  A difference whose CI excludes 0, or a |d| above about 0.2, suggests attrition is related to baseline
+                  scores, so later-wave means describe a selected group rather than the whole {waves[0]} cohort.
+                </p>
+              </>
+          )}
+        </details>
+      </div>
+  );
+}
+
+const CHANGE_GROUPINGS = [
+  { id: '', label: 'All students' },
+  { id: 'ttpId', label: 'TTP' },
+  { id: 'schoolId', label: 'School' },
+  { id: 'yearGroup', label: 'Yeargroup' },
+  { id: 'ethnicity', label: 'Ethnicity' },
+];
+
+const CHANGE_BADGES = {
+  improved: 'badge-success',
+  unchanged: 'badge-ghost',
+  deteriorated: 'badge-error',
+};
+
+function renderChangeCategory(value, row) {
+  const name = CHANGE_CATEGORIES.find((category) => category.id === value)?.name || value;
+  return (
+      <span className={clsx('badge badge-sm whitespace-nowrap', CHANGE_BADGES[value])}>
+        {row?.recovered ? 'Recovered' : name}
+      </span>
+  );
+}
+
+function ReliableChangePanel({ dataset, schoolLookup, schoolToTtp }) {
+  const { relabelledSurveyResponses, surveys, waves } = dataset;
+  const changeSurveys = useMemo(() => surveys.filter((survey) => survey.reliability), [surveys]);
+  const [surveyId, setSurveyId] = useState(changeSurveys[0]?.id);
+  const [fromWave, setFromWave] = useState(waves[0]);
+  const [toWave, setToWave] = useState(waves[waves.length - 1]);
+  const [groupField, setGroupField] = useState('schoolId');
+  const [threshold, setThreshold] = useState(DEFAULT_SUPPRESSION_THRESHOLD);
+  const survey = changeSurveys.find((s) => s.id === surveyId) || changeSurveys[0];
+
+  const rows = useMemo(
+      () => (survey && fromWave !== toWave ? computeReliableChange(relabelledSurveyResponses, survey, fromWave, toWave) : []),
+      [fromWave, relabelledSurveyResponses, survey, toWave],
+  );
+  const summary = useMemo(() => summariseChange(rows, groupField, {
+    threshold,
+    groupOf: groupField === 'ttpId' ? (row) => schoolToTtp[row.schoolId] || '—' : null,
+  }), [groupField, rows, schoolToTtp, threshold]);
+
+  if (!survey) return null;
+
+  const groupLabel = CHANGE_GROUPINGS.find((entry) => entry.id === groupField)?.label || 'Group';
+  const renderCount = (value) => (value === null ? <span className="text-base-content/60">withheld</span> : value);
+  const summaryColumns = [
+    { key: 'group', label: groupLabel, render: (v) => (groupField === 'schoolId' ? schoolLookup[v] || v : v) },
+    { key: 'n', label: 'Students' },
+    ...CHANGE_CATEGORIES.map((category) => ({ key: category.id, label: category.name, render: renderCount })),
+    { key: 'recovered', label: 'Recovered', render: renderCount },
+    { key: 'suppressionType', label: 'Suppression', render: renderSuppressionType },
+    { key: 'notes', label: 'Notes' },
+  ];
+  const uidColumns = [
+    { key: 'uid', label: 'UID' },
+    { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
+    { key: 'yearGroup', label: 'Yeargroup' },
+    { key: 'from', label: fromWave },
+    { key: 'to', label: toWave },
+    { key: 'change', label: 'Change' },
+    { key: 'rci', label: 'RCI' },
+    { key: 'category', label: 'Classification', render: renderChangeCategory },
+  ];
+  const waveSelect = (label, value, onChange) => (
+      <label className="daisy-select space-y-1">
+        <span>{label}</span>
+        <select value={value} onChange={(e) => onChange(e.target.value)}>
+          {waves.map((wave) => (
+              <option key={wave} value={wave}>
+                {wave}
+              </option>
+          ))}
+        </select>
+      </label>
+  );
+
+  return (
+      <div className="section-card">
+        <details className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Reliable change</span>
+            <span className="badge badge-sm badge-ghost">{rows.length} UIDs scored in both waves</span>
+          </summary>
+          <p className="small-note">
+            Reliable change index (Jacobson–Truax) of each UID's {survey.name} total between two waves, using
+            reliability {survey.reliability.coefficient} and SD {survey.reliability.sd}: a change of at least{' '}
+            {reliableChangeThreshold(survey).toFixed(1)} points is reliable. Recovered means a reliable improvement that
+            also leaves the clinical range (cut-off {survey.clinicalCutoff}). Positive RCI is improvement.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+            <label className="daisy-select space-y-1">
+              <span>Survey</span>
+              <select value={survey.id} onChange={(e) => setSurveyId(e.target.value)}>
+                {changeSurveys.map((s) => (
+                    <option key={s.id} value={s.id}>
+                      {s.name}
+                    </option>
+                ))}
+              </select>
+            </label>
+            {waveSelect('From wave', fromWave, setFromWave)}
+            {waveSelect('To wave', toWave, setToWave)}
+            <label className="daisy-select space-y-1">
+              <span>Group by</span>
+              <select value={groupField} onChange={(e) => setGroupField(e.target.value)}>
+                {CHANGE_GROUPINGS.map((entry) => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.label}
+                    </option>
+                ))}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-sm font-medium text-base-content/70">Suppression threshold</span>
+              <input
+                  type="number"
+                  min={1}
+                  className="input input-bordered input-sm w-full"
+                  value={threshold}
+                  onChange={(e) => setThreshold(Math.max(1, Number(e.target.value) || 1))}
+              />
+            </label>
+          </div>
+          {fromWave === toWave ? (
+              <div className="alert alert-info text-sm">Choose two different waves.</div>
+          ) : (
+              <>
+                <DataTable columns={summaryColumns} rows={summary} />
+                <details>
+                  <summary className="text-sm font-medium cursor-pointer">Per-UID results ({rows.length})</summary>
+                  <DataTable columns={uidColumns} rows={rows} />
+                </details>
+              </>
+          )}
+        </details>
+      </div>
+  );
+}
+
+function MissingDataControls({ value, onChange }) {
+  return (
+      <div className="grid grid-cols-2 gap-3">
+        <label className="space-y-1">
+          <span className="text-sm font-medium text-base-content/70">Missing items</span>
+          <select
+              className="select select-bordered select-sm w-full"
+              value={value.strategy}
+              title={MISSING_DATA_STRATEGIES.find((strategy) => strategy.id === value.strategy)?.description}
+              onChange={(e) => onChange({ ...value, strategy: e.target.value })}
+          >
+            {MISSING_DATA_STRATEGIES.map((strategy) => (
+                <option key={strategy.id} value={strategy.id}>
+                  {strategy.name}
+                </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="text-sm font-medium text-base-content/70">Max missing items</span>
+          <input
+              type="number"
+              min={0}
+              className="input input-bordered input-sm w-full"
+              placeholder="Instrument default"
+              disabled={value.strategy !== 'prorate'}
+              value={value.maxMissing ?? ''}
+              onChange={(e) => onChange({ ...value, maxMissing: e.target.value === '' ? null : Number(e.target.value) })}
+          />
+        </label>
+      </div>
+  );
+}
+
+function IntervalControls({ value, onChange }) {
+  return (
+      <div className="grid grid-cols-3 gap-3">
+        <label className="space-y-1">
+          <span className="text-sm font-medium text-base-content/70">Mean CI</span>
+          <select
+              className="select select-bordered select-sm w-full"
+              value={value.mean}
+              title={MEAN_CI_METHODS.find((method) => method.id === value.mean)?.description}
+              onChange={(e) => onChange({ ...value, mean: e.target.value })}
+          >
+            {MEAN_CI_METHODS.map((method) => (
+                <option key={method.id} value={method.id}>
+                  {method.name}
+                </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="text-sm font-medium text-base-content/70">Resamples</span>
+          <input
+              type="number"
+              min={100}
+              max={10000}
+              step={100}
+              className="input input-bordered input-sm w-full"
+              disabled={value.mean !== 'bootstrap'}
+              value={value.resamples}
+              onChange={(e) => onChange({ ...value, resamples: Math.min(10000, Math.max(100, Math.round(Number(e.target.value) || 100))) })}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-sm font-medium text-base-content/70">Band share CI</span>
+          <select
+              className="select select-bordered select-sm w-full"
+              value={value.proportion}
+              title={PROPORTION_CI_METHODS.find((method) => method.id === value.proportion)?.description}
+              onChange={(e) => onChange({ ...value, proportion: e.target.value })}
+          >
+            {PROPORTION_CI_METHODS.map((method) => (
+                <option key={method.id} value={method.id}>
+                  {method.name}
+                </option>
+            ))}
+          </select>
+        </label>
+      </div>
+  );
+}
+
+function ScenarioEditor({ scenario, onApply }) {
+  const [draft, setDraft] = useState(scenario);
+  const [newTtpName, setNewTtpName] = useState('');
+  const [newSchoolName, setNewSchoolName] = useState('');
+  const [newSchoolTtp, setNewSchoolTtp] = useState(scenario.ttps[0]?.id || '');
+  const [newYearGroup, setNewYearGroup] = useState('');
+
+  useEffect(() => {
+    setDraft(scenario);
+  }, [scenario]);
+
+  useEffect(() => {
+    if (!draft.ttps.find((ttp) => ttp.id === newSchoolTtp)) {
+      setNewSchoolTtp(draft.ttps[0]?.id || '');
+    }
+  }, [draft.ttps, newSchoolTtp]);
+
+  const ethnicities = Object.keys(draft.namePools);
+  const validationError = useMemo(() => {
+    try {
+      normalizeScenario(draft);
+      return '';
+    } catch (err) {
+      return err.message;
+    }
+  }, [draft]);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(scenario);
+  const isDefault = Object.keys(scenarioOverrides(draft)).length === 0;
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const addTtp = () => {
+    if (!newTtpName.trim()) return;
+    const id = uniqueId(`${newTtpName}-ttp`, draft.ttps.map((t) => t.id));
+    update({ ttps: [...draft.ttps, { id, name: newTtpName.trim(), ethnicity: ethnicities[0] }] });
+    setNewTtpName('');
+  };
+
+  const removeTtp = (ttpId) => update({
+    ttps: draft.ttps.filter((ttp) => ttp.id !== ttpId),
+    schools: draft.schools.filter((school) => school.ttpId !== ttpId),
+  });
+
+  const addSchool = () => {
+    if (!newSchoolName.trim() || !newSchoolTtp) return;
+    const id = uniqueId(newSchoolName, draft.schools.map((s) => s.id));
+    update({ schools: [...draft.schools, { id, name: newSchoolName.trim(), ttpId: newSchoolTtp }] });
+    setNewSchoolName('');
+  };
+
+  const addYearGroup = () => {
+    const value = newYearGroup.trim();
+    if (!value || draft.yearGroups.includes(value)) return;
+    update({ yearGroups: [...draft.yearGroups, value] });
+    setNewYearGroup('');
+  };
+
+  const addWave = () => {
+    let index = draft.waves.length + 1;
+    while (draft.waves.includes(`Wave ${index}`)) index += 1;
+    update({ waves: [...draft.waves, `Wave ${index}`] });
+  };
+
+  return (
+      <div className="section-card">
+        <details className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Scenario</span>
+            {!isDefault && <span className="badge badge-warning badge-sm">customised</span>}
+          </summary>
+          <p className="small-note">
+            Shape the synthetic population: trusted third parties, schools, yeargroups, waves and cohort sizes. The
+            scenario is stored in the link alongside the seed.
+          </p>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <h3 className="font-semibold text-base">Trusted third parties</h3>
+              {draft.ttps.map((ttp) => (
+                  <div key={ttp.id} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        className="input input-bordered input-sm flex-1"
+                        value={ttp.name}
+                        onChange={(e) => update({
+                          ttps: draft.ttps.map((t) => (t.id === ttp.id ? { ...t, name: e.target.value } : t)),
+                        })}
+                    />
+                    <select
+                        className="select select-bordered select-sm"
+                        value={ttp.ethnicity}
+                        title="Majority ethnicity of this TTP's schools"
+                        onChange={(e) => update({
+                          ttps: draft.ttps.map((t) => (t.id === ttp.id ? { ...t, ethnicity: e.target.value } : t)),
+                        })}
+                    >
+                      {ethnicities.map((eth) => (
+                          <option key={eth} value={eth}>
+                            {eth}
+                          </option>
+                      ))}
+                    </select>
+                    <button className="btn btn-sm btn-ghost" type="button" disabled={draft.ttps.length <= 1} onClick={() => removeTtp(ttp.id)}>
+                      Remove
+                    </button>
+                  </div>
+              ))}
+              <div className="flex gap-2">
+                <input
+                    type="text"
+                    className="input input-bordered input-sm flex-1"
+                    placeholder="New TTP name"
+                    value={newTtpName}
+                    onChange={(e) => setNewTtpName(e.target.value)}
+                />
+                <button className="btn btn-sm btn-secondary" type="button" onClick={addTtp}>
+                  Add TTP
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold text-base">Schools</h3>
+              {draft.schools.map((school) => (
+                  <div key={school.id} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        className="input input-bordered input-sm flex-1"
+                        value={school.name}
+                        onChange={(e) => update({
+                          schools: draft.schools.map((s) => (s.id === school.id ? { ...s, name: e.target.value } : s)),
+                        })}
+                    />
+                    <select
+                        className="select select-bordered select-sm"
+                        value={school.ttpId}
+                        onChange={(e) => update({
+                          schools: draft.schools.map((s) => (s.id === school.id ? { ...s, ttpId: e.target.value } : s)),
+                        })}
+                    >
+                      {draft.ttps.map((ttp) => (
+                          <option key={ttp.id} value={ttp.id}>
+                            {ttp.name}
+                          </option>
+                      ))}
+                    </select>
+                    <button
+                        className="btn btn-sm btn-ghost"
+                        type="button"
+                        disabled={draft.schools.length <= 1}
+                        onClick={() => update({ schools: draft.schools.filter((s) => s.id !== school.id) })}
+                    >
+                      Remove
+                    </button>
+                  </div>
+              ))}
+              <div className="flex gap-2">
+                <input
+                    type="text"
+                    className="input input-bordered input-sm flex-1"
+                    placeholder="New school name"
+                    value={newSchoolName}
+                    onChange={(e) => setNewSchoolName(e.target.value)}
+                />
+                <select className="select select-bordered select-sm" value={newSchoolTtp} onChange={(e) => setNewSchoolTtp(e.target.value)}>
+                  {draft.ttps.map((ttp) => (
+                      <option key={ttp.id} value={ttp.id}>
+                        {ttp.name}
+                      </option>
+                  ))}
+                </select>
+                <button className="btn btn-sm btn-secondary" type="button" onClick={addSchool}>
+                  Add school
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold text-base">Yeargroups</h3>
+              <ChipList values={draft.yearGroups} onRemove={(value) => update({ yearGroups: draft.yearGroups.filter((yg) => yg !== value) })} />
+              <div className="flex gap-2">
+                <input
+                    type="text"
+                    className="input input-bordered input-sm flex-1"
+                    placeholder="e.g. Year 12"
+                    value={newYearGroup}
+                    onChange={(e) => setNewYearGroup(e.target.value)}
+                />
+                <button className="btn btn-sm btn-secondary" type="button" onClick={addYearGroup}>
+                  Add yeargroup
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold text-base">Waves and cohorts</h3>
+              <div className="flex items-center gap-2 flex-wrap">
+                <ChipList values={draft.waves} onRemove={(value) => update({ waves: draft.waves.filter((w) => w !== value) })} />
+                <button className="btn btn-sm btn-secondary" type="button" onClick={addWave}>
+                  Add wave
+                </button>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <label className="space-y-1">
+                  <span className="text-sm font-medium text-base-content/70">Min cohort size</span>
+                  <input
+                      type="number"
+                      min={1}
+                      max={SCENARIO_LIMITS.cohortSize}
+                      className="input input-bordered input-sm w-full"
+                      value={draft.cohortSize.min}
+                      onChange={(e) => update({ cohortSize: { ...draft.cohortSize, min: Number(e.target.value) } })}
+                  />
+                </label>
+                <label className="space-y-1">
+                  <span className="text-sm font-medium text-base-content/70">Max cohort size</span>
+                  <input
+                      type="number"
+                      min={1}
+                      max={SCENARIO_LIMITS.cohortSize}
+                      className="input input-bordered input-sm w-full"
+                      value={draft.cohortSize.max}
+                      onChange={(e) => update({ cohortSize: { ...draft.cohortSize, max: Number(e.target.value) } })}
+                  />
+                </label>
+              </div>
+              <p className="small-note">
+                Each school × yeargroup cohort draws its size uniformly between these bounds: about{' '}
+                {estimateStudentCount(draft).toLocaleString()} students.
+                {estimateStudentCount(draft) > LARGE_SCALE_STUDENTS && ' Scenarios this large are built in the background with a progress bar.'}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold text-base">Missing data</h3>
+              <label className="space-y-1 block">
+                <span className="text-sm font-medium text-base-content/70">Item missing rate (%)</span>
+                <input
+                    type="number"
+                    min={0}
+                    max={50}
+                    step={0.5}
+                    className="input input-bordered input-sm w-full"
+                    value={Number((draft.missingData.itemRate * 100).toFixed(2))}
+                    onChange={(e) => update({ missingData: { ...draft.missingData, itemRate: Number(e.target.value) / 100 } })}
+                />
+              </label>
+              <MissingDataControls value={draft.missingData} onChange={(missingData) => update({ missingData })} />
+              <p className="small-note">
+                Besides whole missed waves, each item is left blank at this rate. The strategy decides how totals are
+                scored from incomplete responses in the response tables and static aggregates; missing values are never
+                counted as 0.
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold text-base">Confidence intervals</h3>
+              <IntervalControls value={draft.intervals} onChange={(intervals) => update({ intervals })} />
+              <p className="small-note">
+                95% intervals of the mean totals and of the severity band shares in the static aggregates. Bootstrap
+                resamples are seeded per cell, so the same seed always gives the same intervals.
+              </p>
+            </div>
+
+            <div className="space-y-2 lg:col-span-2">
+              <h3 className="font-semibold text-base">Survey instruments</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {Object.values(INSTRUMENTS).map((instrument) => {
+                  const selected = draft.surveys.some((survey) => survey.id === instrument.id);
+                  return (
+                      <label key={instrument.id} className="flex items-start gap-2 text-sm">
+                        <input
+                            type="checkbox"
+                            className="checkbox checkbox-sm mt-0.5"
+                            checked={selected}
+                            disabled={selected && draft.surveys.length <= 1}
+                            onChange={() => update({
+                              surveys: selected
+                                  ? draft.surveys.filter((survey) => survey.id !== instrument.id)
+                                  : [...draft.surveys, instrument],
+                            })}
+                        />
+                        <span>
+                          <span className="font-medium">{instrument.name}</span>
+                          <span className="small-note block">
+                            {instrument.items} items scored {instrument.responseRange.min}–{instrument.responseRange.max}
+                            {instrument.reverseScored.length > 0 && `, ${instrument.reverseScored.length} reverse-scored`}
+                            {instrument.subscales.length > 0 && `, ${instrument.subscales.length} subscales`}
+                            {instrument.prorating.maxMissing > 0 && `; prorated with up to ${instrument.prorating.maxMissing} missing`}
+                          </span>
+                        </span>
+                      </label>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
+          {validationError && <div className="alert alert-error text-sm">{validationError}</div>}
+          <div className="flex justify-end gap-2">
+            <button className="btn btn-sm btn-ghost" type="button" onClick={() => setDraft(normalizeScenario(DEFAULT_SCENARIO))}>
+              Reset to defaults
+            </button>
+            <button
+                className="btn btn-sm btn-ghost"
+                type="button"
+                title="80 schools with cohorts of 120–180: about 36,000 students"
+                onClick={() => setDraft(normalizeScenario(LOCAL_AUTHORITY_SCENARIO))}
+            >
+              Local authority scale
+            </button>
+            <button className="btn btn-sm btn-outline" type="button" disabled={!dirty} onClick={() => setDraft(scenario)}>
+              Discard changes
+            </button>
+            <button
+                className="btn btn-sm btn-primary"
+                type="button"
+                disabled={!dirty || Boolean(validationError)}
+                onClick={() => onApply(normalizeScenario(draft))}
+            >
+              Apply scenario
+            </button>
+          </div>
+        </details>
+      </div>
+  );
+}
+
+/*
+ * Stands in for an analysis panel that is not run above LARGE_SCALE_STUDENTS: the k-anonymity search
+ * and the differencing attack grow much faster than the records and would freeze the tab.
+ */
+function ScaleLimitedPanel({ title, students, reason }) {
+  return (
+      <div className="section-card">
+        <details className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">{title}</span>
+            <span className="badge badge-sm badge-ghost">off at this scale</span>
+          </summary>
+          <p className="small-note">
+            Not run for this dataset of {students.toLocaleString()} students (the limit is{' '}
+            {LARGE_SCALE_STUDENTS.toLocaleString()}): {reason} Use a smaller scenario to explore it.
+          </p>
+        </details>
+      </div>
+  );
+}
+
+function DisclosureRiskPanel({ dataset, schoolLookup }) {
+  const { relabelledSurveyResponses, surveys } = dataset;
+  const hierarchies = useMemo(() => buildHierarchies(dataset), [dataset]);
+  const [quasiIdentifiers, setQuasiIdentifiers] = useState(QUASI_IDENTIFIERS.map((qi) => qi.id));
+  const [sensitiveSurveyId, setSensitiveSurveyId] = useState(surveys[0].id);
+  const [levels, setLevels] = useState({});
+  const [targets, setTargets] = useState({ k: 5, l: 2, t: 0.3 });
+  const [searchMessage, setSearchMessage] = useState('');
+
+  const sensitiveSurvey = surveys.find((s) => s.id === sensitiveSurveyId) || surveys[0];
+  const options = useMemo(() => ({
+    quasiIdentifiers,
+    hierarchies,
+    levels,
+    sensitiveKey: `${sensitiveSurvey.id}-total`,
+    sensitiveMax: totalRange(sensitiveSurvey).max,
+    targetK: targets.k,
+    targetL: targets.l,
+    targetT: targets.t,
+  }), [hierarchies, levels, quasiIdentifiers, sensitiveSurvey, targets]);
+
+  const analysis = useMemo(
+      () => analyseAnonymity(relabelledSurveyResponses, options),
+      [options, relabelledSurveyResponses],
+  );
+
+  const findGeneralisation = () => {
+    const found = findMinimalGeneralisation(relabelledSurveyResponses, options);
+    if (!found) {
+      setSearchMessage(`No generalisation of the selected quasi-identifiers reaches k = ${targets.k}.`);
+      return;
+    }
+    setLevels(found);
+    const steps = Object.entries(found).filter(([, level]) => level > 0);
+    setSearchMessage(steps.length
+        ? `Reached k = ${targets.k} by generalising ${steps.map(([qi, level]) => `${qi} → ${hierarchies[qi][level].label}`).join(', ')}.`
+        : `Already ${targets.k}-anonymous without generalisation.`);
+  };
+
+  const renderQi = (qi) => (value) => (qi === 'schoolId' ? schoolLookup[value] || value : value);
+  const qiColumns = quasiIdentifiers.map((qi) => ({
+    key: qi,
+    label: QUASI_IDENTIFIERS.find((q) => q.id === qi)?.label || qi,
+    render: renderQi(qi),
+  }));
+  const classColumns = [
+    ...qiColumns,
+    { key: 'size', label: 'Students (k)' },
+    { key: 'records', label: 'Records' },
+    { key: 'l', label: `Distinct ${sensitiveSurvey.name} totals (l)` },
+    { key: 't', label: 'EMD to overall (t)' },
+    {
+      key: 'violations',
+      label: 'Violations',
+      render: (_, row) => [row.violatesK && 'k', row.violatesL && 'l', row.violatesT && 't'].filter(Boolean).join(', ') || '—',
+    },
+  ];
+  const recordColumns = [
+    { key: 'uid', label: 'UID' },
+    { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
+    { key: 'yearGroup', label: 'Yeargroup' },
+    { key: 'ethnicity', label: 'Ethnicity' },
+    { key: 'wave', label: 'Wave' },
+    { key: `${sensitiveSurvey.id}-total`, label: `${sensitiveSurvey.name} Total` },
+    { key: 'classSize', label: 'Class k' },
+    { key: 'classL', label: 'Class l' },
+    { key: 'classT', label: 'Class t' },
+  ];
+
+  const metric = (title, value, ok, desc) => (
+      <div className="stat">
+        <div className="stat-title">{title}</div>
+        <div className={clsx('stat-value text-2xl', ok ? 'text-success' : 'text-error')}>{value}</div>
+        <div className="stat-desc">{desc}</div>
+      </div>
+  );
+
+  return (
+      <div className="section-card">
+        <details open className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Disclosure risk of relabelled responses</span>
+          </summary>
+          <p className="small-note">
+            Groups the relabelled responses into equivalence classes over the chosen quasi-identifiers. k is the
+            smallest number of distinct students in a class, l the fewest distinct {sensitiveSurvey.name} totals, and t
+            the largest earth mover&apos;s distance between a class&apos;s total distribution and the overall one.
+            Generalise quasi-identifiers to raise k.
+          </p>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <span className="text-sm font-medium text-base-content/70">Quasi-identifiers and generalisation</span>
+              {QUASI_IDENTIFIERS.map((qi) => {
+                const checked = quasiIdentifiers.includes(qi.id);
+                return (
+                    <div key={qi.id} className="flex items-center gap-2">
+                      <label className="flex items-center gap-2 text-sm w-32">
+                        <input
+                            type="checkbox"
+                            className="checkbox checkbox-sm"
+                            checked={checked}
+                            onChange={() => setQuasiIdentifiers((prev) => (checked
+                                ? prev.filter((id) => id !== qi.id)
+                                : QUASI_IDENTIFIERS.map((q) => q.id).filter((id) => id === qi.id || prev.includes(id))))}
+                        />
+                        <span>{qi.label}</span>
+                      </label>
+                      <select
+                          className="select select-bordered select-sm"
+                          disabled={!checked}
+                          value={levels[qi.id] || 0}
+                          onChange={(e) => setLevels((prev) => ({ ...prev, [qi.id]: Number(e.target.value) }))}
+                      >
+                        {hierarchies[qi.id].map((level, idx) => (
+                            <option key={level.label} value={idx}>
+                              {level.label}
+                            </option>
+                        ))}
+                      </select>
+                    </div>
+                );
+              })}
+            </div>
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <label className="daisy-select space-y-1">
+                  <span>Sensitive attribute</span>
+                  <select value={sensitiveSurveyId} onChange={(e) => setSensitiveSurveyId(e.target.value)}>
+                    {surveys.map((survey) => (
+                        <option key={survey.id} value={survey.id}>
+                          {survey.name} total
+                        </option>
+                    ))}
+                  </select>
+                </label>
+                {[
+                  ['k', 'Target k', 1, 1],
+                  ['l', 'Target l', 1, 1],
+                  ['t', 'Target t', 0, 0.05],
+                ].map(([key, label, min, step]) => (
+                    <label key={key} className="space-y-1">
+                      <span className="text-sm font-medium text-base-content/70">{label}</span>
+                      <input
+                          type="number"
+                          min={min}
+                          step={step}
+                          className="input input-bordered input-sm w-full"
+                          value={targets[key]}
+                          onChange={(e) => setTargets((prev) => ({ ...prev, [key]: Number(e.target.value) || 0 }))}
+                      />
+                    </label>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button className="btn btn-sm btn-primary" type="button" onClick={findGeneralisation}>
+                  Generalise to reach k
+                </button>
+                <button className="btn btn-sm btn-outline" type="button" onClick={() => {
+                  setLevels({});
+                  setSearchMessage('');
+                }}>
+                  Reset generalisation
+                </button>
+              </div>
+              {searchMessage && <p className="small-note">{searchMessage}</p>}
             </div>
           </div>
-          <DataTable columns={columns} rows={rows} />
+          <div className="stats stats-vertical lg:stats-horizontal border border-base-300 w-full">
+            {metric('k-anonymity', analysis.k, analysis.k >= targets.k, `target ${targets.k}`)}
+            {metric('l-diversity', analysis.l, analysis.l >= targets.l, `target ${targets.l}`)}
+            {metric('t-closeness', analysis.t, analysis.t <= targets.t, `target ≤ ${targets.t}`)}
+            {metric(
+                'Violating records',
+                analysis.violatingRecords.length,
+                analysis.violatingRecords.length === 0,
+                `${analysis.violatingClasses.length} of ${analysis.classes.length} classes`,
+            )}
+          </div>
+          <h3 className="font-semibold text-base">Equivalence classes</h3>
+          <DataTable columns={classColumns} rows={analysis.classes.map((c) => ({ ...c, suppressed: c.violatesK }))} />
+          <h3 className="font-semibold text-base">Violating records</h3>
+          {analysis.violatingRecords.length > 0 ? (
+              <DataTable columns={recordColumns} rows={analysis.violatingRecords} />
+          ) : (
+              <p className="small-note">No records violate the targets.</p>
+          )}
         </details>
       </div>
   );
 }
 
-function buildGroupKey(response, groupingFields, schoolToTtp) {
-  const extended = { ...response, ttpId: schoolToTtp?.[response.schoolId] || 'All TTPs' };
-  return groupingFields.map((field) => extended[field] || 'All').join('|');
+const ENTITY_KINDS = {
+  university: { label: 'University', className: 'badge-primary' },
+  ttp: { label: 'TTP', className: 'badge-secondary' },
+  school: { label: 'School', className: 'badge-accent' },
+};
+
+function openSection(sectionKey) {
+  const element = document.getElementById(sectionAnchor(sectionKey));
+  if (!element) return;
+  const details = element.querySelector('details');
+  if (details) details.open = true;
+  element.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-function aggregateResponses(responses, surveys, groupingFields, suppressionThreshold, schoolToTtp) {
-  const grouped = new Map();
-  const resolvedFields = Array.from(new Set([...groupingFields, 'wave']));
+function AccessMatrixPanel({ metadata, entityMatrix, resolvedLabels, activeEntityId }) {
+  const [highlight, setHighlight] = useState(null);
 
-  responses.forEach((resp) => {
-    const key = buildGroupKey(resp, resolvedFields, schoolToTtp);
-    if (!grouped.has(key)) grouped.set(key, []);
-    grouped.get(key).push(resp);
-  });
+  return (
+      <div className="section-card" id={sectionAnchor('accessMatrix')}>
+        <h2 className="text-xl font-semibold">Who can access what</h2>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {metadata.map((entry) => (
+              <div key={entry.entity} className="meta-card">
+                <div className="card-body">
+                  <h3 className="card-title text-base">{entry.entity}</h3>
+                  <p className="small-note">{entry.purpose}</p>
+                  <span className="badge badge-outline">{entry.category}</span>
+                  <div className="inline-tags">
+                    {entry.access.map((access) => (
+                        <span key={access} className="tag">{access}</span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+          ))}
+        </div>
+        <p className="small-note">
+          Entity × data-category matrix. Click a dataset to jump to its table; chips show the labels it carries in
+          the active label set.
+        </p>
+        <div className="table-wrapper">
+          <table className="table w-full">
+            <thead>
+            <tr>
+              <th className="text-sm text-base-content/70">Entity</th>
+              {DATA_CATEGORIES.map((category) => (
+                  <th key={category.id} className="text-sm text-base-content/70">{category.name}</th>
+              ))}
+            </tr>
+            </thead>
+            <tbody>
+            {entityMatrix.map((row) => (
+                <tr key={row.entityId} className={clsx({ 'bg-info/10': row.entityId === activeEntityId })}>
+                  <td className="text-sm font-medium whitespace-nowrap">
+                    <span className={clsx('badge badge-sm badge-outline mr-2', ENTITY_KINDS[row.kind]?.className)}>
+                      {ENTITY_KINDS[row.kind]?.label || row.kind}
+                    </span>
+                    {row.entity}
+                  </td>
+                  {DATA_CATEGORIES.map((category) => (
+                      <td key={category.id} className="text-sm">
+                        {row[category.id].length === 0 ? (
+                            <span className="text-base-content/40">—</span>
+                        ) : (
+                            <div className="space-y-2">
+                              {row[category.id].map((item) => (
+                                  <div
+                                      key={item.label}
+                                      className={clsx('space-y-1 rounded-lg p-1', {
+                                        'bg-primary/10': item.sectionKey && highlight === item.sectionKey,
+                                      })}
+                                      onMouseEnter={() => setHighlight(item.sectionKey)}
+                                      onMouseLeave={() => setHighlight(null)}
+                                  >
+                                    {item.sectionKey ? (
+                                        <a
+                                            className="link link-primary"
+                                            href={`#${sectionAnchor(item.sectionKey)}`}
+                                            onClick={(e) => {
+                                              e.preventDefault();
+                                              openSection(item.sectionKey);
+                                            }}
+                                        >
+                                          {item.label}
+                                        </a>
+                                    ) : (
+                                        <span>{item.label}</span>
+                                    )}
+                                    {item.sectionKey && (
+                                        <div className="flex flex-wrap gap-1">
+                                          {resolvedLabels(item.sectionKey).map((label) => (
+                                              <LabelBadge key={label.id} label={label} />
+                                          ))}
+                                        </div>
+                                    )}
+                                  </div>
+                              ))}
+                            </div>
+                        )}
+                      </td>
+                  ))}
+                </tr>
+            ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+  );
+}
 
-  const aggregates = [];
-  for (const [key, group] of grouped.entries()) {
-    const sample = group[0] || {};
-    const summary = {};
-
-    surveys.forEach((survey) => {
-      const totals = group.map((entry) => Number(entry[`${survey.id}-total`]) || 0);
-      const totalScore = totals.reduce((a, b) => a + b, 0);
-      summary[`${survey.id}-total`] = Number(totalScore.toFixed(2));
-      summary[`${survey.id}-n`] = totals.length;
-      summary[`${survey.id}-mean`] = Number((totals.length ? totalScore / totals.length : 0).toFixed(2));
-      summary[`${survey.id}-ci95`] = Number(computeCi95(totals).toFixed(2));
-    });
+const FLOW_NODE_COLORS = {
+  school: '#0ea5e9',
+  ttp: '#a855f7',
+  university: '#1d4ed8',
+};
+const UNLABELLED_COLOR = '#94a3b8';
 
-    const resolveValue = (field, fallback) => {
-      if (!resolvedFields.includes(field)) return fallback;
-      if (field === 'ttpId') return schoolToTtp?.[sample.schoolId] || fallback;
-      return sample[field] ?? fallback;
+function withAlpha(hex, alpha) {
+  const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return `rgba(148, 163, 184, ${alpha})`;
+  const value = parseInt(match[1], 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+function DataFlowSankey({ dataset, resolvedLabels }) {
+  const chartRef = useRef(null);
+  const flow = useMemo(() => buildDataFlow(dataset), [dataset]);
+  const sectionLabels = (sectionKey) => resolvedLabels(sectionKey);
+  // resolvedLabels changes identity every render; redraw only when the labels themselves change.
+  const labelSignature = JSON.stringify(flow.nodes.map((node) => node.sectionKey && sectionLabels(node.sectionKey)));
+
+  useEffect(() => {
+    const el = chartRef.current;
+    if (!el) return undefined;
+    const colourOf = (sectionKey) => sectionLabels(sectionKey)[0]?.color || UNLABELLED_COLOR;
+    const labelNames = (sectionKey) => sectionLabels(sectionKey).map((label) => label.name).join(', ') || 'unlabelled';
+
+    const trace = {
+      type: 'sankey',
+      arrangement: 'snap',
+      node: {
+        label: flow.nodes.map((node) => node.label),
+        color: flow.nodes.map((node) => (node.sectionKey ? colourOf(node.sectionKey) : FLOW_NODE_COLORS[node.kind])),
+        customdata: flow.nodes.map((node) => node.sectionKey || 'accessMatrix'),
+        pad: 14,
+        thickness: 16,
+        line: { width: 0 },
+        hovertemplate: '%{label}<br>%{value} records<extra></extra>',
+      },
+      link: {
+        source: flow.links.map((link) => link.source),
+        target: flow.links.map((link) => link.target),
+        value: flow.links.map((link) => link.value),
+        color: flow.links.map((link) => withAlpha(colourOf(link.sectionKey), 0.45)),
+        customdata: flow.links.map((link) => link.sectionKey),
+        hovertemplate: flow.links.map((link) => (
+          `%{source.label} → %{target.label}<br>%{value} records (${labelNames(link.sectionKey)})<extra></extra>`
+        )),
+      },
     };
 
-    const suppressed = summary['phq9-n'] < suppressionThreshold;
-    aggregates.push({
-      groupKey: key,
-      ttpId: resolveValue('ttpId', 'All TTPs'),
-      schoolId: resolveValue('schoolId', 'All schools'),
-      yearGroup: resolveValue('yearGroup', 'All yeargroups'),
-      ethnicity: resolveValue('ethnicity', 'All ethnicities'),
-      wave: resolveValue('wave', 'All waves'),
-      ...summary,
-      suppressed,
-      notes: suppressed ? `Suppressed: fewer than ${suppressionThreshold} records` : 'Ready for responsive queries',
-    });
-  }
+    const handleClick = (event) => {
+      const target = event?.points?.[0]?.customdata;
+      if (target) openSection(target);
+    };
 
-  return aggregates;
+    Plotly.react(el, [trace], {
+      margin: { t: 20, r: 10, l: 10, b: 20 },
+      font: { size: 12 },
+    }, { responsive: true }).then(() => el.on?.('plotly_click', handleClick));
+    return () => el.removeListener?.('plotly_click', handleClick);
+  }, [flow, labelSignature]);
+
+  return (
+      <div className="section-card" id={sectionAnchor('dataFlow')}>
+        <h2 className="text-xl font-semibold">Data flow</h2>
+        <p className="small-note">
+          Records moving from schools through the TTPs to Oxford, as produced by the pipeline. Edge width is the
+          record count and colour the first sensitivity label of the dataset it carries; click a node to jump to
+          its section.
+        </p>
+        <div className="chart-box">
+          <div ref={chartRef} className="h-[460px]" />
+        </div>
+      </div>
+  );
 }
 
 function TtpPanel({ ttps, schools }) {
@@ -540,6 +2550,213 @@ function LabelSetManager({
   );
 }
 
+function formatGroupingLabel(entry, fields, schoolLookup, schoolToTtp) {
+  if (fields.length === 0) return 'All data';
+  return fields.map((field) => {
+    if (field === 'schoolId') return schoolLookup[entry.schoolId] || entry.schoolId || 'All schools';
+    if (field === 'yearGroup') return entry.yearGroup || 'All yeargroups';
+    if (field === 'ethnicity') return entry.ethnicity || 'All ethnicities';
+    if (field === 'ttpId') return schoolToTtp?.[entry.schoolId] || entry.ttpId || 'All TTPs';
+    return entry[field] || 'All';
+  }).join(' | ');
+}
+
+function formatP(value) {
+  if (value === null || value === undefined) return '—';
+  return value < 0.001 ? '< 0.001' : value.toFixed(3);
+}
+
+function formatInterval([low, high]) {
+  return `${low.toFixed(2)} to ${high.toFixed(2)}`;
+}
+
+// Pairwise tests grow with the square of the groups and the mixed model's design with groups × waves.
+const MAX_COMPARED_GROUPS = 40;
+
+function GroupComparisonPanel({ responses, survey, waves, groupOf }) {
+  const [open, setOpen] = useState(false);
+  const [pairWave, setPairWave] = useState('');
+  const field = `${survey.id}-total`;
+
+  const observations = useMemo(
+      () => responses
+          .filter((resp) => isAnswered(resp[field]))
+          .map((resp) => ({ uid: resp.uid, wave: resp.wave, group: groupOf(resp), y: resp[field] })),
+      [field, groupOf, responses],
+  );
+  const groups = useMemo(
+      () => Array.from(new Set(observations.map((o) => o.group))).sort(),
+      [observations],
+  );
+  const cells = useMemo(() => {
+    const byCell = new Map();
+    observations.forEach((o) => {
+      const key = `${o.wave}|${o.group}`;
+      if (!byCell.has(key)) byCell.set(key, []);
+      byCell.get(key).push(o.y);
+    });
+    return byCell;
+  }, [observations]);
+  const presentWaves = useMemo(
+      () => waves.filter((wave) => observations.some((o) => o.wave === wave)),
+      [observations, waves],
+  );
+  const selectedPairWave = presentWaves.includes(pairWave) ? pairWave : presentWaves[0];
+  const tooManyGroups = groups.length > MAX_COMPARED_GROUPS;
+  const tooManyMessage = `${groups.length} groups is more than the ${MAX_COMPARED_GROUPS} that pairwise tests and the mixed model `
+      + 'are run for; select fewer grouping levels or filter the records.';
+  const valuesOf = useCallback((wave, group) => cells.get(`${wave}|${group}`) || [], [cells]);
+
+  const omnibus = useMemo(() => {
+    if (!open) return [];
+    return presentWaves.map((wave) => {
+      const samples = groups.map((group) => valuesOf(wave, group));
+      const tested = samples.filter((values) => values.length > 1);
+      if (tested.length === 2) {
+        const result = welchTTest(tested[0], tested[1]);
+        return {
+          wave,
+          groups: 2,
+          n: tested[0].length + tested[1].length,
+          test: 'Welch t',
+          statistic: result ? `t = ${result.t.toFixed(2)}` : '—',
+          df: result ? result.df.toFixed(1) : '—',
+          p: result?.p ?? null,
+          effect: result?.g === null || !result ? '—' : `g = ${result.g.toFixed(2)}`,
+        };
+      }
+      const result = welchAnova(tested);
+      return {
+        wave,
+        groups: tested.length,
+        n: tested.reduce((acc, values) => acc + values.length, 0),
+        test: tested.length < 2 ? 'Needs two groups' : 'Welch ANOVA',
+        statistic: result ? `F = ${result.f.toFixed(2)}` : '—',
+        df: result ? `${result.df1}, ${result.df2.toFixed(1)}` : '—',
+        p: result?.p ?? null,
+        effect: result ? `η² = ${result.etaSquared.toFixed(3)}` : '—',
+      };
+    });
+  }, [groups, open, presentWaves, valuesOf]);
+
+  const pairwise = useMemo(() => {
+    if (!open || !selectedPairWave || tooManyGroups) return [];
+    const pairs = groups.flatMap((a, idx) => groups.slice(idx + 1).map((b) => ({
+      a,
+      b,
+      result: welchTTest(valuesOf(selectedPairWave, a), valuesOf(selectedPairWave, b)),
+    }))).filter((pair) => pair.result);
+    const adjusted = holmAdjust(pairs.map((pair) => pair.result.p));
+    return pairs.map((pair, idx) => ({ ...pair, ...pair.result, holm: adjusted[idx] }));
+  }, [groups, open, selectedPairWave, tooManyGroups, valuesOf]);
+
+  const model = useMemo(() => {
+    if (!open) return null;
+    if (tooManyGroups) return { error: tooManyMessage };
+    if (groups.length < 2 && presentWaves.length < 2) {
+      return { error: 'The model needs at least two groups or two waves.' };
+    }
+    try {
+      return fitMixedModel(observations, { waves, groups });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [groups, observations, open, presentWaves.length, tooManyGroups, tooManyMessage, waves]);
+
+  const omnibusColumns = [
+    { key: 'wave', label: 'Wave' },
+    { key: 'groups', label: 'Groups' },
+    { key: 'n', label: 'N' },
+    { key: 'test', label: 'Test' },
+    { key: 'statistic', label: 'Statistic' },
+    { key: 'df', label: 'df' },
+    { key: 'p', label: 'p', render: formatP },
+    { key: 'effect', label: 'Effect size' },
+  ];
+  const pairColumns = [
+    { key: 'a', label: 'Group A' },
+    { key: 'b', label: 'Group B' },
+    { key: 'means', label: 'Means (A, B)', render: (v) => `${v[0].toFixed(2)}, ${v[1].toFixed(2)}` },
+    { key: 'difference', label: 'A − B', render: (v) => v.toFixed(2) },
+    { key: 'ci', label: '95% CI', render: formatInterval },
+    { key: 't', label: 't', render: (v) => v.toFixed(2) },
+    { key: 'df', label: 'df', render: (v) => v.toFixed(1) },
+    { key: 'p', label: 'p', render: formatP },
+    { key: 'holm', label: 'p (Holm)', render: formatP },
+    { key: 'g', label: "Hedges' g", render: formatScore },
+  ];
+  const coefficientColumns = [
+    { key: 'term', label: 'Term' },
+    { key: 'estimate', label: 'Estimate', render: formatScore },
+    { key: 'se', label: 'SE', render: (v) => v.toFixed(3) },
+    { key: 't', label: 't', render: (v) => v.toFixed(2) },
+    { key: 'df', label: 'df' },
+    { key: 'p', label: 'p', render: formatP },
+  ];
+  const termColumns = [
+    { key: 'term', label: 'Term' },
+    { key: 'f', label: 'F', render: (v) => v.toFixed(2) },
+    { key: 'df1', label: 'df' },
+    { key: 'df2', label: 'Residual df' },
+    { key: 'p', label: 'p', render: formatP },
+  ];
+
+  return (
+      <details className="border border-base-300 rounded-lg p-3 space-y-3" onToggle={(e) => setOpen(e.currentTarget.open)}>
+        <summary className="font-semibold text-base cursor-pointer">
+          Group comparisons ({survey.name} total, {groups.length} groups)
+        </summary>
+        <p className="small-note">
+          Tests use the individual responses behind the unsuppressed rows above, grouped by the selected grouping
+          levels. Per wave, two groups are compared with Welch's t-test and more with Welch's ANOVA; groups with
+          fewer than two responses are left out. Pairwise p-values are Holm-adjusted within the wave.
+        </p>
+        {open && (
+            <>
+              <DataTable columns={omnibusColumns} rows={omnibus} />
+              {groups.length > 1 && (
+                  <div className="space-y-2">
+                    <div className="flex items-end justify-between gap-2">
+                      <h4 className="font-semibold text-sm">Pairwise Welch t-tests</h4>
+                      <label className="daisy-select space-y-1">
+                        <span>Wave</span>
+                        <select value={selectedPairWave} onChange={(e) => setPairWave(e.target.value)}>
+                          {presentWaves.map((wave) => (
+                              <option key={wave} value={wave}>
+                                {wave}
+                              </option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    {tooManyGroups
+                        ? <div className="alert alert-info text-sm">{tooManyMessage}</div>
+                        : <DataTable columns={pairColumns} rows={pairwise} />}
+                  </div>
+              )}
+              <h4 className="font-semibold text-sm">Linear mixed model: total ~ wave × group + (1 | uid)</h4>
+              {model?.error ? (
+                  <div className="alert alert-info text-sm">{model.error}</div>
+              ) : model && (
+                  <>
+                    <p className="small-note">
+                      REML fit on {model.observations} responses from {model.subjects} UIDs. Reference levels are{' '}
+                      {model.waves[0]} and {model.groups[0] ?? 'the single group'}. UID intercept variance{' '}
+                      {model.interceptVariance.toFixed(2)}, residual variance {model.residualVariance.toFixed(2)}, ICC{' '}
+                      {model.icc.toFixed(2)}, REML log-likelihood {model.logLikelihood.toFixed(1)}. Wald tests use the
+                      residual degrees of freedom, which is generous for the between-UID group effects.
+                      {model.aliased.length > 0 && ` Not estimable from the observed cells: ${model.aliased.join(', ')}.`}
+                    </p>
+                    <DataTable columns={termColumns} rows={model.terms} />
+                    <DataTable columns={coefficientColumns} rows={model.coefficients} />
+                  </>
+              )}
+            </>
+        )}
+      </details>
+  );
+}
+
 function DynamicAggregatedSection({
   dataset,
   labelOptions,
@@ -548,12 +2765,18 @@ function DynamicAggregatedSection({
   onRemoveLabel,
   schoolToTtp,
   schoolLookup,
+  onQuery,
+  exportMetadata,
 }) {
   const { surveys, relabelledSurveyResponses, schools, yearGroups, waves } = dataset;
   const ethnicityOptions = useMemo(
       () => Array.from(new Set(relabelledSurveyResponses.map((r) => r.ethnicity))).sort(),
       [relabelledSurveyResponses],
   );
+  const scopedSchoolIds = useMemo(() => {
+    const present = new Set(relabelledSurveyResponses.map((r) => r.schoolId));
+    return schools.filter((school) => present.has(school.id)).map((school) => school.id);
+  }, [relabelledSurveyResponses, schools]);
 
   const groupingChoices = [
     { value: 'schoolId', label: 'School' },
@@ -573,7 +2796,11 @@ function DynamicAggregatedSection({
   });
   const [displaySurveyId, setDisplaySurveyId] = useState(surveys[0].id);
   const [groupingSelections, setGroupingSelections] = useState(['schoolId', 'yearGroup', 'ethnicity']);
-  const [suppressionThreshold, setSuppressionThreshold] = useState(5);
+  const [suppressionThreshold, setSuppressionThreshold] = useState(DEFAULT_SUPPRESSION_THRESHOLD);
+  const [missingData, setMissingData] = useState(dataset.scenario.missingData);
+  const [intervals, setIntervals] = useState(dataset.scenario.intervals);
+  const [dpSettings, setDpSettings] = useState(DEFAULT_DP_SETTINGS);
+  const [dpLedger, setDpLedger] = useState({ fingerprint: dataset.fingerprint, spent: 0, releases: {} });
   const chartRef = useRef(null);
 
   useEffect(() => {
@@ -598,51 +2825,164 @@ function DynamicAggregatedSection({
       [groupingFields],
   );
 
+  // The released tables are scored with the scenario's strategy; any other choice re-scores the totals.
+  const scoredResponses = useMemo(
+      () => (JSON.stringify(missingData) === JSON.stringify(dataset.scenario.missingData)
+          ? relabelledSurveyResponses
+          : applyMissingDataStrategy(relabelledSurveyResponses, surveys, missingData)),
+      [dataset.scenario.missingData, missingData, relabelledSurveyResponses, surveys],
+  );
+
+  // Indexed by school, the usual first filter, so narrowing to one school does not scan every response.
+  const responsesBySchool = useMemo(() => {
+    const index = new Map();
+    scoredResponses.forEach((resp) => {
+      if (!index.has(resp.schoolId)) index.set(resp.schoolId, []);
+      index.get(resp.schoolId).push(resp);
+    });
+    return index;
+  }, [scoredResponses]);
+
+  // Keyed on the record selection only, so editing the value comparator does not re-aggregate.
   const filteredResponses = useMemo(
-      () => relabelledSurveyResponses.filter((resp) => {
-        const schoolMatch = filters.school === 'all' || resp.schoolId === filters.school;
+      () => (filters.school === 'all' ? scoredResponses : responsesBySchool.get(filters.school) || []).filter((resp) => {
         const yearMatch = filters.yearGroup === 'all' || resp.yearGroup === filters.yearGroup;
         const waveMatch = filters.wave === 'all' || resp.wave === filters.wave;
         const ethnicityMatch = filters.ethnicity === 'all' || resp.ethnicity === filters.ethnicity;
-        return schoolMatch && yearMatch && waveMatch && ethnicityMatch;
+        return yearMatch && waveMatch && ethnicityMatch;
       }),
-      [filters, relabelledSurveyResponses],
+      [filters.ethnicity, filters.school, filters.wave, filters.yearGroup, responsesBySchool, scoredResponses],
+  );
+
+  // Only the record selection and mechanism cost budget; suppression and the value comparator are post-processing.
+  const dpSignature = useMemo(
+      () => JSON.stringify([
+        filters.school,
+        filters.yearGroup,
+        filters.wave,
+        filters.ethnicity,
+        groupingFields,
+        missingData,
+        dpSettings.mechanism,
+        dpSettings.epsilonPerQuery,
+        dpSettings.mechanism === 'gaussian' ? dpSettings.delta : null,
+      ]),
+      [dpSettings.delta, dpSettings.epsilonPerQuery, dpSettings.mechanism, filters.ethnicity, filters.school, filters.wave, filters.yearGroup, groupingFields, missingData],
   );
+  const ledger = dpLedger.fingerprint === dataset.fingerprint
+      ? dpLedger
+      : { fingerprint: dataset.fingerprint, spent: 0, releases: {} };
+  const remainingBudget = Math.max(0, dpSettings.sessionBudget - ledger.spent);
+  const dpCost = useMemo(
+      () => (dpSettings.enabled ? queryEpsilon(filteredResponses, dpSettings.epsilonPerQuery) : 0),
+      [dpSettings.enabled, dpSettings.epsilonPerQuery, filteredResponses],
+  );
+  const dpRelease = dpSettings.enabled ? ledger.releases[dpSignature] : null;
+  const dpRefused = dpSettings.enabled && !dpRelease && dpCost > remainingBudget + 1e-9;
 
-  const aggregated = useMemo(
-      () => aggregateResponses(filteredResponses, surveys, groupingFields, suppressionThreshold, schoolToTtp),
-      [filteredResponses, groupingFields, suppressionThreshold, schoolToTtp, surveys],
+  useEffect(() => {
+    if (!dpSettings.enabled || !(dpSettings.epsilonPerQuery > 0)) return;
+    setDpLedger((prev) => {
+      const current = prev.fingerprint === dataset.fingerprint
+          ? prev
+          : { fingerprint: dataset.fingerprint, spent: 0, releases: {} };
+      if (current.releases[dpSignature]) return current;
+      if (current.spent + dpCost > dpSettings.sessionBudget + 1e-9) return current;
+      const random = createNoiseSource(dataset.fingerprint, dpSignature);
+      const domain = filteredDomain({ schoolIds: scopedSchoolIds, yearGroups, ethnicities: ethnicityOptions, waves }, filters);
+      const release = groupAggregates(filteredResponses, groupingFields, schoolToTtp, (group) => privateSummary(group, surveys, {
+        mechanism: dpSettings.mechanism,
+        epsilon: dpSettings.epsilonPerQuery,
+        delta: dpSettings.delta,
+        random,
+      }), domain);
+      return {
+        ...current,
+        spent: current.spent + dpCost,
+        releases: { ...current.releases, [dpSignature]: release },
+      };
+    });
+  }, [dataset.fingerprint, dpCost, dpSettings, dpSignature, ethnicityOptions, filteredResponses, filters, groupingFields, schoolToTtp, scopedSchoolIds, surveys, waves, yearGroups]);
+
+  // Summarised apart from suppression, so changing the threshold does not re-aggregate every response.
+  const exactAggregates = useMemo(
+      () => (dpSettings.enabled
+          ? null
+          : aggregateResponses(filteredResponses, surveys, groupingFields, schoolToTtp, { intervals, seed: dataset.seed })),
+      [dataset.seed, dpSettings.enabled, filteredResponses, groupingFields, intervals, schoolToTtp, surveys],
   );
 
+  const aggregated = useMemo(() => {
+    if (exactAggregates) return suppressAggregates(exactAggregates, surveys, groupingFields, suppressionThreshold);
+    if (!dpRelease) return [];
+    const mechanismName = DP_MECHANISMS.find((m) => m.id === dpSettings.mechanism)?.name || dpSettings.mechanism;
+    return suppressAggregates(dpRelease, surveys, groupingFields, suppressionThreshold).map((row) => (row.suppressed ? row : {
+      ...row,
+      notes: `Noisy release: ${mechanismName}, ε = ${dpSettings.epsilonPerQuery} per group`,
+    }));
+  }, [dpRelease, dpSettings.epsilonPerQuery, dpSettings.mechanism, exactAggregates, groupingFields, suppressionThreshold, surveys]);
+
+  const valueFilterActive = filters.surveyValue !== '' && Number.isFinite(Number(filters.surveyValue));
+
   const valueFiltered = useMemo(() => {
     const threshold = Number(filters.surveyValue);
-    const hasThreshold = filters.surveyValue !== '' && Number.isFinite(threshold);
     return aggregated.filter((row) => {
-      const target = Number(row[`${filters.thresholdSurveyId}-mean`]);
-      if (!hasThreshold) return true;
+      const target = row[`${filters.thresholdSurveyId}-mean`];
+      if (!valueFilterActive) return true;
+      if (!Number.isFinite(target)) return false;
       if (filters.comparator === '<') return target < threshold;
       return target > threshold;
     });
-  }, [aggregated, filters.comparator, filters.thresholdSurveyId, filters.surveyValue]);
+  }, [aggregated, filters.comparator, filters.thresholdSurveyId, filters.surveyValue, valueFilterActive]);
+
+  useEffect(() => {
+    // A noisy release is made by the effect above; wait for it so the log never holds a 0-cell placeholder.
+    if (dpSettings.enabled && !dpRelease && !dpRefused) return;
+    onQuery?.({
+      seed: dataset.seed,
+      fingerprint: dataset.fingerprint,
+      filters,
+      groupingFields,
+      suppressionThreshold,
+      valueFilterActive,
+      missingData,
+      intervals,
+      privacy: dpSettings.enabled
+          ? { mechanism: dpSettings.mechanism, epsilon: dpSettings.epsilonPerQuery, delta: dpSettings.delta }
+          : null,
+      refused: dpRefused,
+      rows: dpRefused ? [] : valueFiltered,
+    });
+  }, [dataset.fingerprint, dataset.seed, dpRefused, dpRelease, dpSettings, filters, groupingFields, intervals, missingData, onQuery, suppressionThreshold, valueFilterActive, valueFiltered]);
 
   const unsuppressedKeys = useMemo(
       () => new Set(valueFiltered.filter((row) => !row.suppressed).map((row) => row.groupKey)),
       [valueFiltered],
   );
 
+  const responseGroupKeys = useMemo(
+      () => filteredResponses.map((resp) => buildGroupKey(resp, groupingFields, schoolToTtp)),
+      [filteredResponses, groupingFields, schoolToTtp],
+  );
   const graphResponses = useMemo(
-      () => filteredResponses.filter((resp) => unsuppressedKeys.has(buildGroupKey(resp, groupingFields, schoolToTtp))),
-      [filteredResponses, groupingFields, schoolToTtp, unsuppressedKeys],
+      () => filteredResponses.filter((_, idx) => unsuppressedKeys.has(responseGroupKeys[idx])),
+      [filteredResponses, responseGroupKeys, unsuppressedKeys],
   );
 
+  const groupOf = useCallback(
+      (entry) => formatGroupingLabel(entry, groupingWithoutWave, schoolLookup, schoolToTtp),
+      [groupingWithoutWave, schoolLookup, schoolToTtp],
+  );
+  const displaySurvey = surveys.find((s) => s.id === displaySurveyId) || surveys[0];
+
   const sortedAggregates = useMemo(() => {
     const waveOrder = Object.fromEntries(waves.map((w, idx) => [w, idx]));
     return [...valueFiltered].sort((a, b) => (waveOrder[a.wave] ?? 0) - (waveOrder[b.wave] ?? 0));
   }, [valueFiltered, waves]);
+  const [visibleAggregates, setVisibleAggregates] = useState(sortedAggregates);
 
   const dynamicColumns = useMemo(() => {
     const survey = surveys.find((s) => s.id === displaySurveyId) || surveys[0];
-    const surveyLabel = survey?.name || displaySurveyId;
     const baseColumns = [
       { key: 'ttpId', label: 'TTP' },
       { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v || '—' },
@@ -652,20 +2992,31 @@ function DynamicAggregatedSection({
     ];
     const surveyColumns = survey
         ? [
-          { key: `${survey.id}-n`, label: `${surveyLabel} N` },
-          { key: `${survey.id}-mean`, label: `${surveyLabel} Mean Total` },
-          { key: `${survey.id}-ci95`, label: `${surveyLabel} 95% CI` },
+          ...meanColumns(survey, dpSettings.enabled ? 'Normal, incl. noise' : meanMethodLabel(intervals)),
+          ...(dpSettings.enabled ? [] : bandColumns(survey, intervals)),
         ]
         : [];
-    return [...baseColumns, ...surveyColumns, { key: 'notes', label: 'Notes' }];
-  }, [displaySurveyId, schoolLookup, surveys]);
+    return [
+      ...baseColumns,
+      ...surveyColumns,
+      { key: 'suppressionType', label: 'Suppression', render: renderSuppressionType },
+      { key: 'notes', label: 'Notes' },
+    ];
+  }, [displaySurveyId, dpSettings.enabled, intervals, schoolLookup, surveys]);
 
   useEffect(() => {
     if (!chartRef.current) return;
 
     const hasData = graphResponses.length > 0;
     const multipleWaves = filters.wave === 'all';
-    const waveList = multipleWaves ? waves.filter((w) => graphResponses.some((resp) => resp.wave === w)) : [filters.wave];
+    // Responses are bucketed once by wave and by group × wave instead of re-filtered for every point.
+    const byWave = new Map();
+    graphResponses.forEach((resp) => {
+      if (!byWave.has(resp.wave)) byWave.set(resp.wave, []);
+      byWave.get(resp.wave).push(resp);
+    });
+    const responsesIn = (wave) => byWave.get(wave) || [];
+    const waveList = multipleWaves ? waves.filter((w) => byWave.has(w)) : [filters.wave];
 
     if (!hasData || waveList.length === 0) {
       Plotly.react(chartRef.current, [], {
@@ -692,48 +3043,73 @@ function DynamicAggregatedSection({
           return field;
       }
     };
-    const formatGroupLabel = (entry) => {
-      if (groupingWithoutWave.length === 0) return 'All data';
-      const extended = { ...entry, ttpId: schoolToTtp?.[entry.schoolId] || entry.ttpId || 'All TTPs' };
-      const parts = groupingWithoutWave.map((field) => {
-        if (field === 'schoolId') return schoolLookup[extended.schoolId] || extended.schoolId || 'All schools';
-        if (field === 'yearGroup') return extended.yearGroup || 'All yeargroups';
-        if (field === 'ethnicity') return extended.ethnicity || 'All ethnicities';
-        if (field === 'ttpId') return extended.ttpId || 'All TTPs';
-        return extended[field] || 'All';
-      });
-      return parts.join(' | ');
-    };
+    const formatGroupLabel = (entry) => formatGroupingLabel(entry, groupingWithoutWave, schoolLookup, schoolToTtp);
     const groupingKeyFromEntry = (entry) => {
       if (groupingWithoutWave.length === 0) return 'all';
-      const extended = { ...entry, ttpId: schoolToTtp?.[entry.schoolId] || entry.ttpId || 'All TTPs' };
-      return groupingWithoutWave.map((field) => extended[field] || 'All').join('|');
+      const valueOf = (field) => (field === 'ttpId' ? schoolToTtp?.[entry.schoolId] || entry.ttpId || 'All TTPs' : entry[field]);
+      return groupingWithoutWave.map((field) => valueOf(field) || 'All').join('|');
     };
     const groupKeyLabels = new Map();
+    const byGroupWave = new Map();
     graphResponses.forEach((resp) => {
       const baseKey = groupingKeyFromEntry(resp);
       if (!groupKeyLabels.has(baseKey)) {
         groupKeyLabels.set(baseKey, formatGroupLabel(resp));
       }
+      const cellKey = `${baseKey}|${resp.wave}`;
+      if (!byGroupWave.has(cellKey)) byGroupWave.set(cellKey, []);
+      byGroupWave.get(cellKey).push(resp);
     });
     const singleGroup = groupKeyLabels.size <= 1;
     const traces = [];
 
+    if (dpSettings.enabled) {
+      // Only noisy totals are released under DP, so item-level views are unavailable.
+      const released = valueFiltered.filter((row) => !row.suppressed);
+      const rowGroups = new Map();
+      released.forEach((row) => {
+        const baseKey = groupingKeyFromEntry(row);
+        if (!rowGroups.has(baseKey)) rowGroups.set(baseKey, { label: formatGroupLabel(row), rows: [] });
+        rowGroups.get(baseKey).rows.push(row);
+      });
+      const survey = surveys.find((s) => s.id === displaySurveyId) || surveys[0];
+      rowGroups.forEach(({ label, rows }) => {
+        const byWave = availableWaves.map((wave) => rows.find((row) => row.wave === wave));
+        traces.push({
+          x: availableWaves,
+          y: byWave.map((row) => (row ? row[`${survey.id}-mean`] : null)),
+          error_y: intervalErrorBars(byWave.map((row) => (row ? {
+            mean: row[`${survey.id}-mean`],
+            ci: [row[`${survey.id}-ciLow`], row[`${survey.id}-ciHigh`]],
+          } : null))),
+          mode: 'lines+markers',
+          name: `${label} (${survey.name}, noisy)`,
+        });
+      });
+      Plotly.react(chartRef.current, traces, {
+        title: `Noisy mean totals (ε = ${dpSettings.epsilonPerQuery} per group, ${remainingBudget.toFixed(2)} of ${dpSettings.sessionBudget} remaining; 95% CI: normal, incl. noise)`,
+        yaxis: { title: 'Mean total (noisy)', zeroline: false },
+        xaxis: { title: 'Wave' },
+        legend: { orientation: 'h' },
+        margin: { t: 50, r: 10, l: 60, b: 40 },
+      }, { responsive: true });
+      return;
+    }
+
     if (!multipleWaves) {
       const itemLabels = [];
       const itemMeans = [];
       const wave = availableWaves[0];
       const activeSurveys = surveys.filter((survey) => survey.id === displaySurveyId) ?? surveys;
       (activeSurveys.length ? activeSurveys : surveys).forEach((survey) => {
-        for (let i = 1; i <= survey.items; i += 1) {
-          const itemKey = `${survey.id}-item-${i}`;
-          const values = graphResponses
-              .filter((resp) => resp.wave === wave)
-              .map((resp) => Number(resp[itemKey]))
+        itemNumbers(survey).forEach((item) => {
+          const key = itemKey(survey, item);
+          const values = responsesIn(wave)
+              .map((resp) => resp[key])
               .filter((val) => Number.isFinite(val));
-          itemLabels.push(`${survey.name} Item ${i}`);
+          itemLabels.push(itemLabel(survey, item));
           itemMeans.push(values.length ? Number(computeMean(values).toFixed(2)) : null);
-        }
+        });
       });
 
       traces.push({
@@ -746,7 +3122,14 @@ function DynamicAggregatedSection({
 
       Plotly.react(chartRef.current, traces, {
         title: `Item means for ${wave}`,
-        yaxis: { title: 'Mean score', range: [0, 3.5], zeroline: false },
+        yaxis: {
+          title: 'Mean score',
+          range: [
+            Math.min(...surveys.map((survey) => survey.responseRange.min)) - 0.5,
+            Math.max(...surveys.map((survey) => survey.responseRange.max)) + 0.5,
+          ],
+          zeroline: false,
+        },
         xaxis: { title: 'Survey item', automargin: true },
         margin: { t: 50, r: 10, l: 50, b: 120 },
       }, { responsive: true });
@@ -759,12 +3142,11 @@ function DynamicAggregatedSection({
 
     if (singleGroup) {
       surveysForChart.forEach((survey) => {
-        for (let i = 1; i <= survey.items; i += 1) {
-          const itemKey = `${survey.id}-item-${i}`;
+        itemNumbers(survey).forEach((item) => {
+          const key = itemKey(survey, item);
           const y = wavesForChart.map((wave) => {
-            const values = graphResponses
-                .filter((resp) => resp.wave === wave)
-                .map((resp) => Number(resp[itemKey]))
+            const values = responsesIn(wave)
+                .map((resp) => resp[key])
                 .filter((val) => Number.isFinite(val));
             if (values.length === 0) return null;
             return Number(computeMean(values).toFixed(2));
@@ -773,42 +3155,38 @@ function DynamicAggregatedSection({
             x: wavesForChart,
             y,
             mode: 'lines+markers',
-            name: `${survey.name} Item ${i}`,
+            name: itemLabel(survey, item),
           });
-        }
+        });
       });
     } else {
+      const pointFor = (totals, key) => {
+        if (totals.length === 0) return null;
+        const random = intervals.mean === 'bootstrap' ? createResampler(dataset.seed, key) : null;
+        return { mean: Number(computeMean(totals).toFixed(2)), ci: meanInterval(totals, intervals, random) };
+      };
       surveysForChart.forEach((survey) => {
         groupKeyLabels.forEach((label, baseKey) => {
-          const y = wavesForChart.map((wave) => {
-            const totals = graphResponses
-                .filter((resp) => resp.wave === wave)
-                .filter((resp) => groupingKeyFromEntry(resp) === baseKey)
-                .map((resp) => Number(resp[`${survey.id}-total`]))
-                .filter((val) => Number.isFinite(val));
-            if (totals.length === 0) return null;
-            return Number(computeMean(totals).toFixed(2));
-          });
+          const points = wavesForChart.map((wave) => pointFor((byGroupWave.get(`${baseKey}|${wave}`) || [])
+              .map((resp) => resp[`${survey.id}-total`])
+              .filter((val) => Number.isFinite(val)), `${baseKey}|${wave}|${survey.id}`));
           traces.push({
             x: wavesForChart,
-            y,
+            y: points.map((point) => point?.mean ?? null),
+            error_y: intervalErrorBars(points),
             mode: 'lines+markers',
             name: `${label} (${survey.name})`,
           });
         });
 
-        const grandMean = wavesForChart.map((wave) => {
-          const totals = graphResponses
-              .filter((resp) => resp.wave === wave)
-              .map((resp) => Number(resp[`${survey.id}-total`]))
-              .filter((val) => Number.isFinite(val));
-          if (totals.length === 0) return null;
-          return Number(computeMean(totals).toFixed(2));
-        });
+        const grandMean = wavesForChart.map((wave) => pointFor(responsesIn(wave)
+            .map((resp) => resp[`${survey.id}-total`])
+            .filter((val) => Number.isFinite(val)), `all|${wave}|${survey.id}`));
 
         traces.push({
           x: wavesForChart,
-          y: grandMean,
+          y: grandMean.map((point) => point?.mean ?? null),
+          error_y: intervalErrorBars(grandMean),
           mode: 'lines+markers',
           name: `${survey.name} grand mean`,
           line: { dash: 'dash', width: 3, color: '#111827' },
@@ -817,26 +3195,27 @@ function DynamicAggregatedSection({
       });
     }
 
+    const intervalNote = singleGroup ? '' : ` (95% CI: ${meanMethodLabel(intervals)})`;
     Plotly.react(chartRef.current, traces, {
-      title: groupingWithoutWave.length
+      title: (groupingWithoutWave.length
           ? `Means by ${groupingWithoutWave.map(describeGroupingField).join(' / ')} across waves`
-          : 'Means across waves',
+          : 'Means across waves') + intervalNote,
       yaxis: { title: 'Mean total', zeroline: false },
       xaxis: { title: 'Wave' },
       legend: { orientation: 'h' },
       margin: { t: 50, r: 10, l: 60, b: 40 },
     }, { responsive: true });
-  }, [displaySurveyId, filters.wave, graphResponses, groupingWithoutWave, schoolLookup, schoolToTtp, surveys, valueFiltered, waves]);
+  }, [dataset.seed, displaySurveyId, dpSettings.enabled, dpSettings.epsilonPerQuery, dpSettings.sessionBudget, filters.wave, graphResponses, groupingWithoutWave, intervals, remainingBudget, schoolLookup, schoolToTtp, surveys, valueFiltered, waves]);
 
   return (
-      <div className="section-card">
+      <div className="section-card" id={sectionAnchor('dynamicAggregated')}>
         <details open className="space-y-3">
           <summary className="flex items-center gap-2">
             <span className="text-primary">◆</span>
             <span className="flex items-center gap-2">Dynamic aggregated data</span>
           </summary>
           <div className="space-y-3">
-            <p className="small-note">Adjust the grouping level, suppression threshold, and numeric filters to explore responsive aggregates. Choose the display survey for table/chart columns; the threshold survey only affects the comparator filter. Suppressed rows remain visible in the table with a red background but are excluded from the chart.</p>
+            <p className="small-note">Adjust the grouping level, suppression threshold, and numeric filters to explore responsive aggregates. Choose the display survey for table/chart columns; the threshold survey only affects the comparator filter. Suppressed rows remain visible in the table but are excluded from the chart: red rows fall below the threshold (primary), amber rows are hidden so that a primary cell cannot be recovered by subtracting from a coarser grouping (secondary).</p>
 
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
               <div className="space-y-2">
@@ -913,16 +3292,110 @@ function DynamicAggregatedSection({
                     </div>
                     <p className="small-note">Choose one or more fields to group by; leave all unchecked to aggregate everything.</p>
                   </div>
-                  <label className="space-y-1">
-                    <span className="text-sm font-medium text-base-content/70">Suppression threshold</span>
+                  <div className="space-y-2">
+                    <label className="space-y-1 block">
+                      <span className="text-sm font-medium text-base-content/70">Suppression threshold</span>
+                      <input
+                          type="number"
+                          min={1}
+                          className="input input-bordered input-sm w-full"
+                          value={suppressionThreshold}
+                          onChange={(e) => setSuppressionThreshold(Math.max(1, Number(e.target.value) || 1))}
+                      />
+                    </label>
+                    <MissingDataControls value={missingData} onChange={setMissingData} />
+                    <IntervalControls value={intervals} onChange={setIntervals} />
+                  </div>
+                </div>
+                <div className="space-y-2 border border-base-300 rounded-lg p-3">
+                  <label className="flex items-center gap-2 text-sm font-medium">
                     <input
-                        type="number"
-                        min={1}
-                        className="input input-bordered input-sm w-full"
-                        value={suppressionThreshold}
-                        onChange={(e) => setSuppressionThreshold(Number(e.target.value) || 0)}
+                        type="checkbox"
+                        className="toggle toggle-sm toggle-primary"
+                        checked={dpSettings.enabled}
+                        onChange={(e) => setDpSettings((prev) => ({ ...prev, enabled: e.target.checked }))}
                     />
+                    <span>Differential privacy mode</span>
                   </label>
+                  {dpSettings.enabled && (
+                      <>
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                          <label className="daisy-select space-y-1">
+                            <span>Mechanism</span>
+                            <select
+                                value={dpSettings.mechanism}
+                                onChange={(e) => setDpSettings((prev) => ({ ...prev, mechanism: e.target.value }))}
+                            >
+                              {DP_MECHANISMS.map((mechanism) => (
+                                  <option key={mechanism.id} value={mechanism.id}>
+                                    {mechanism.name}
+                                  </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="space-y-1">
+                            <span className="text-sm font-medium text-base-content/70">ε per query</span>
+                            <input
+                                type="number"
+                                min={0.01}
+                                step={0.05}
+                                className="input input-bordered input-sm w-full"
+                                value={dpSettings.epsilonPerQuery}
+                                onChange={(e) => setDpSettings((prev) => ({ ...prev, epsilonPerQuery: Number(e.target.value) || 0 }))}
+                            />
+                          </label>
+                          <label className="space-y-1">
+                            <span className="text-sm font-medium text-base-content/70">δ</span>
+                            <input
+                                type="number"
+                                min={0}
+                                step={0.00001}
+                                disabled={dpSettings.mechanism !== 'gaussian'}
+                                className="input input-bordered input-sm w-full"
+                                value={dpSettings.delta}
+                                onChange={(e) => setDpSettings((prev) => ({ ...prev, delta: Number(e.target.value) || DEFAULT_DP_SETTINGS.delta }))}
+                            />
+                          </label>
+                          <label className="space-y-1">
+                            <span className="text-sm font-medium text-base-content/70">Session budget (ε)</span>
+                            <input
+                                type="number"
+                                min={0}
+                                step={0.5}
+                                disabled={ledger.spent > 0}
+                                className="input input-bordered input-sm w-full"
+                                value={dpSettings.sessionBudget}
+                                onChange={(e) => setDpSettings((prev) => ({ ...prev, sessionBudget: Number(e.target.value) || 0 }))}
+                            />
+                          </label>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <progress
+                              className={clsx('progress w-full', remainingBudget < dpCost ? 'progress-error' : 'progress-primary')}
+                              value={remainingBudget}
+                              max={dpSettings.sessionBudget || 1}
+                          />
+                          <span className="text-sm whitespace-nowrap">
+                            {remainingBudget.toFixed(2)} / {dpSettings.sessionBudget} ε left
+                          </span>
+                          <button
+                              className="btn btn-xs btn-outline"
+                              type="button"
+                              onClick={() => setDpLedger({ fingerprint: dataset.fingerprint, spent: 0, releases: {} })}
+                          >
+                            New session
+                          </button>
+                        </div>
+                        <p className="small-note">
+                          Each new combination of filters and grouping spends from the session budget; repeating a
+                          query replays its earlier release for free. Rows are split by wave, so a student answering k
+                          selected waves sits in k groups and the query costs k × ε (this one: ε = {dpCost.toFixed(2)}).
+                          Counts, sums and sums of squares are noised, and the CI adds the noise variance to the sampling
+                          variance. Every group the filters allow is released, empty ones included, so the rows do not
+                          show which groups have records. Item-level charts are not released.
+                        </p>
+                      </>
+                  )}
                 </div>
               </div>
 
@@ -946,172 +3419,463 @@ function DynamicAggregatedSection({
               </div>
             </div>
 
-            <DataTable columns={dynamicColumns} rows={sortedAggregates} />
+            {dpRefused && (
+                <div className="alert alert-warning text-sm">
+                  Privacy budget exhausted: this query needs ε = {dpCost.toFixed(2)} but only {remainingBudget.toFixed(2)} remains.
+                  Repeat an earlier query or start a new session.
+                </div>
+            )}
+            {dpSettings.enabled && (
+                <p className="small-note">
+                  Showing the noisy release. {ledger.spent.toFixed(2)} of {dpSettings.sessionBudget} ε spent across {Object.keys(ledger.releases).length} queries.
+                </p>
+            )}
+            {exportMetadata && (
+                <ExportButtons
+                    filename="dynamic-aggregated-data"
+                    columns={dynamicColumns}
+                    rows={visibleAggregates}
+                    metadata={{
+                      ...exportMetadata,
+                      suppressionThreshold,
+                      filters,
+                      groupingFields,
+                      missingData: describeMissingData(missingData),
+                      intervals: dpSettings.enabled ? 'Normal, including the noise variance' : describeIntervals(intervals),
+                      privacy: dpSettings.enabled
+                          ? { mechanism: dpSettings.mechanism, epsilon: dpSettings.epsilonPerQuery, delta: dpSettings.delta }
+                          : null,
+                    }}
+                />
+            )}
+            <DataTable columns={dynamicColumns} rows={sortedAggregates} interactive onVisibleRowsChange={setVisibleAggregates} />
 
             <div className="chart-box mt-4">
               <div ref={chartRef} className="h-[420px]" />
             </div>
+
+            {dpSettings.enabled ? (
+                <p className="small-note">Group comparisons need individual responses, so they are not available in differential privacy mode.</p>
+            ) : (
+                <GroupComparisonPanel responses={graphResponses} survey={displaySurvey} waves={waves} groupOf={groupOf} />
+            )}
           </div>
         </details>
       </div>
   );
 }
 
-/*
-* responses are aggregated, so will contain columns like phq9-total
-* */
-function SurveyChart({ responses, surveys, waves, schools, yearGroups, schoolToTtp }) {
-  const [surveyId, setSurveyId] = useState(surveys[0].id);
-  const [view, setView] = useState('cross-school'); // 'school' | 'cross-school'
-  const [school, setSchool] = useState(schools[0].id);
-  const [yearGroup, setYearGroup] = useState(yearGroups[0]);
-  const chartRef = useRef(null);
-  const ethnicityOptions = useMemo(
-      () => ['all', ...Array.from(new Set(responses.map((r) => r.ethnicity))).sort()],
-      [responses],
+function formatScore(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : '—';
+}
+
+function DifferencingAttackPanel({ dataset, dynamicQueries, onClearQueries, schoolLookup, schoolToTtp }) {
+  const [includeDynamic, setIncludeDynamic] = useState(true);
+  const [trustSecondary, setTrustSecondary] = useState(true);
+  const [showUnrecovered, setShowUnrecovered] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const ethnicities = useMemo(
+      () => Array.from(new Set(dataset.students.map((s) => s.ethnicity))).sort(),
+      [dataset.students],
   );
-  const [ethnicity, setEthnicity] = useState(ethnicityOptions[0]);
 
   useEffect(() => {
-    if (!ethnicityOptions.includes(ethnicity)) {
-      setEthnicity(ethnicityOptions[0]);
-    }
-  }, [ethnicityOptions, ethnicity]);
+    setResult(null);
+  }, [dataset.fingerprint]);
+
+  const runAttack = () => {
+    const queries = includeDynamic ? dynamicQueries : [];
+    const releases = collectReleases({
+      staticAggregated: dataset.staticAggregated,
+      staticAggregatedAgnostic: dataset.staticAggregatedAgnostic,
+      dynamicQueries: queries,
+      missingData: dataset.scenario.missingData,
+    });
+    const outcome = runDifferencingAttack({
+      releases,
+      responses: dataset.surveyResponses,
+      surveys: dataset.surveys,
+      schools: dataset.schools,
+      yearGroups: dataset.yearGroups,
+      waves: dataset.waves,
+      ethnicities,
+      ttpOf: (schoolId) => schoolToTtp[schoolId],
+      trustSecondary,
+    });
+    setResult({ ...outcome, queryCount: queries.length, trustSecondary });
+  };
 
+  const rows = useMemo(() => {
+    if (!result) return [];
+    return result.findings
+        .filter((finding) => showUnrecovered || finding.recovered)
+        .map((finding) => ({
+          source: finding.source,
+          ...finding.scope,
+          suppressionType: finding.suppressionType,
+          status: finding.recovered ? (finding.exact ? 'Recovered exactly' : 'Recovered (approximate)') : 'Protected',
+          ...Object.fromEntries(dataset.surveys.flatMap((survey) => [
+            [`${survey.id}-recovered`, finding.recovered
+                ? `n=${finding.recovered[survey.id].n}, mean=${formatScore(finding.recovered[survey.id].mean)}`
+                : '—'],
+            [`${survey.id}-truth`, `n=${finding.truth[survey.id].n}, mean=${formatScore(finding.truth[survey.id].mean)}`],
+          ])),
+        }));
+  }, [dataset.surveys, result, showUnrecovered]);
+
+  const columns = useMemo(() => [
+    { key: 'source', label: 'Published in' },
+    { key: 'ttpId', label: 'TTP', render: (v) => v || '—' },
+    { key: 'schoolId', label: 'School', render: (v) => (v ? schoolLookup[v] || v : '—') },
+    { key: 'yearGroup', label: 'Yeargroup', render: (v) => v || '—' },
+    {
+      key: 'ethnicity',
+      label: 'Ethnicity',
+      render: (v) => (v === 'unicorn' ? <span className="badge badge-error badge-sm">unicorn</span> : v || '—'),
+    },
+    { key: 'wave', label: 'Wave', render: (v) => v || '—' },
+    { key: 'suppressionType', label: 'Suppression', render: renderSuppressionType },
+    ...dataset.surveys.flatMap((survey) => [
+      { key: `${survey.id}-recovered`, label: `${survey.name} recovered` },
+      { key: `${survey.id}-truth`, label: `${survey.name} ground truth` },
+    ]),
+    {
+      key: 'status',
+      label: 'Status',
+      render: (v) => (
+          <span className={clsx('badge badge-sm', v === 'Protected' ? 'badge-success' : 'badge-error')}>{v}</span>
+      ),
+    },
+  ], [dataset.surveys, schoolLookup]);
+
+  const unicornHits = result ? result.findings.filter((f) => f.recovered && f.scope.ethnicity === 'unicorn').length : 0;
 
-  const stats = useMemo(
-      () => responses.map((resp) => {
-        const n = Number(resp[`${surveyId}-n`]) || 0;
-        const mean = Number(resp[`${surveyId}-mean`]) || 0;
-        const ci95 = Number(resp[`${surveyId}-ci95`]) || 0;
-        return {
-          ...resp,
-          mean,
-          ci95,
-          n,
-        };
-      }),
-      [responses, surveyId],
+  return (
+      <div className="section-card">
+        <details open className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Differencing attack demonstrator</span>
+          </summary>
+          <p className="small-note">
+            Plays the attacker against everything published so far: the static aggregates plus every query made in the
+            dynamic section. Each visible cell's N and mean become linear equations over the school × yeargroup ×
+            ethnicity × wave cells; any suppressed cell whose values follow from those equations is recovered and shown
+            next to the ground truth from the labelled survey responses.
+          </p>
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={includeDynamic}
+                  onChange={(e) => setIncludeDynamic(e.target.checked)}
+              />
+              <span>Include dynamic queries ({dynamicQueries.length} recorded)</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={trustSecondary}
+                  onChange={(e) => setTrustSecondary(e.target.checked)}
+              />
+              <span>Respect secondary suppression</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={showUnrecovered}
+                  onChange={(e) => setShowUnrecovered(e.target.checked)}
+              />
+              <span>Show protected cells</span>
+            </label>
+            <button className="btn btn-sm btn-primary" type="button" onClick={runAttack}>
+              Run attack
+            </button>
+            <button className="btn btn-sm btn-outline" type="button" disabled={dynamicQueries.length === 0} onClick={onClearQueries}>
+              Clear recorded queries
+            </button>
+          </div>
+          {result ? (
+              <>
+                <div className="stats stats-vertical lg:stats-horizontal border border-base-300 w-full">
+                  <div className="stat">
+                    <div className="stat-title">Suppressed cells examined</div>
+                    <div className="stat-value text-2xl">{result.findings.length}</div>
+                    <div className="stat-desc">{result.queryCount} dynamic queries, {result.trustSecondary ? 'secondary suppression respected' : 'primary suppression only'}</div>
+                  </div>
+                  <div className="stat">
+                    <div className="stat-title">Recovered</div>
+                    <div className={clsx('stat-value text-2xl', { 'text-error': result.recoveredCount > 0 })}>{result.recoveredCount}</div>
+                    <div className="stat-desc">{unicornHits} single-student unicorn cells</div>
+                  </div>
+                  <div className="stat">
+                    <div className="stat-title">Equations / unknowns</div>
+                    <div className="stat-value text-2xl">{result.rank} / {result.atoms}</div>
+                    <div className="stat-desc">{result.equations} published cells (independent / atoms)</div>
+                  </div>
+                </div>
+                {result.inexactReleases > 0 && (
+                    <p className="small-note">
+                      {result.inexactReleases} dynamic {result.inexactReleases === 1 ? 'query was' : 'queries were'} left out:
+                      noisy releases and queries re-scored with another missing-data strategy are not exact sums of the
+                      published records, so they cannot be differenced against the other tables.
+                    </p>
+                )}
+                {result.queryCount !== (includeDynamic ? dynamicQueries.length : 0) && (
+                    <p className="small-note">More queries have been recorded since this run; run the attack again to include them.</p>
+                )}
+                <DataTable columns={columns} rows={rows} />
+              </>
+          ) : (
+              <p className="small-note">Run the attack to see which suppressed cells can be recovered.</p>
+          )}
+        </details>
+      </div>
   );
+}
 
-  useEffect(() => {
-    if (!chartRef.current) return;
-    const survey = surveys.find((s) => s.id === surveyId);
-    const orderedWaves = [...waves];
+function describeAuditFilters(filters, schoolLookup) {
+  const active = Object.entries(filters).filter(([, value]) => value !== 'all');
+  if (active.length === 0) return 'None';
+  return active.map(([field, value]) => `${field}=${field === 'school' ? schoolLookup[value] || value : value}`).join(', ');
+}
 
-    const traces = [];
+function AuditLogPanel({ entries, onClear, schoolLookup }) {
+  const warnings = useMemo(() => detectTrackerPatterns(entries), [entries]);
+  const flagged = useMemo(() => new Set(warnings.flatMap((w) => w.entryIds)), [warnings]);
+
+  const columns = useMemo(() => [
+    { key: 'id', label: '#' },
+    { key: 'timestamp', label: 'Time', render: (v) => new Date(v).toLocaleTimeString() },
+    { key: 'filters', label: 'Filters', render: (v) => describeAuditFilters(v, schoolLookup) },
+    { key: 'groupingFields', label: 'Grouping', render: (v) => v.join(', ') },
+    { key: 'suppressionThreshold', label: 'Threshold' },
+    {
+      key: 'valueFilter',
+      label: 'Value filter',
+      render: (v) => (v ? `${v.surveyId} mean ${v.comparator} ${v.value}` : '—'),
+    },
+    {
+      key: 'privacy',
+      label: 'DP',
+      render: (v, row) => (row.refused
+          ? <span className="badge badge-error badge-sm">refused: budget spent</span>
+          : v ? `${v.mechanism}, ε=${v.epsilon}` : 'Off'),
+    },
+    { key: 'cellCount', label: 'Cells' },
+    { key: 'suppressedCells', label: 'Suppressed' },
+    { key: 'minVisibleN', label: 'Min visible N', render: (v) => v ?? '—' },
+    {
+      key: 'flag',
+      label: 'Flag',
+      render: (_, row) => (flagged.has(row.id) ? <span className="badge badge-warning badge-sm">flagged</span> : ''),
+    },
+  ], [flagged, schoolLookup]);
 
-    const resolvePoint = (entries) => {
-      const toPoint = (entry) => ({
-        mean: entry?.mean ?? null,
-        ci: entry?.ci95 ?? null,
-        n: entry?.n ?? 0,
-      });
-      if (entries.length === 0) return { mean: null, ci: null, n: 0 };
-      if (ethnicity !== 'all') {
-        return toPoint(entries[0]);
-      }
-      const totalN = entries.reduce((sum, e) => sum + e.n, 0);
-      if (totalN === 0) return { mean: null, ci: null, n: 0 };
-      const weightedMean = entries.reduce((sum, e) => sum + e.mean * (e.n / totalN), 0);
-      const weightedCi = entries.reduce((sum, e) => sum + e.ci95 * (e.n / totalN), 0);
-      return { mean: Number(weightedMean.toFixed(2)), ci: Number(weightedCi.toFixed(2)), n: totalN };
-    };
+  return (
+      <div className="section-card">
+        <details open className="space-y-3">
+          <summary className="flex items-center gap-2">
+            <span className="text-primary">◆</span>
+            <span className="flex items-center gap-2">Query audit log</span>
+            <span className="badge badge-outline badge-sm">{entries.length}</span>
+          </summary>
+          <p className="small-note">
+            Every change to the dynamic section's filters, grouping, comparator or suppression threshold is a query
+            against pseudonymous data. Each one is logged with its parameters and result-cell sizes (not the released
+            values), and patterns that resemble tracker or differencing attacks are flagged. Queries refused for lack of
+            privacy budget are logged as refused; they released nothing, so they only count towards bursts.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+                className="btn btn-sm btn-primary"
+                type="button"
+                disabled={entries.length === 0}
+                onClick={() => downloadFile(`query-audit-${new Date().toISOString()}.jsonl`, toJsonl(entries), 'application/x-ndjson')}
+            >
+              Export JSONL
+            </button>
+            <button className="btn btn-sm btn-outline" type="button" disabled={entries.length === 0} onClick={onClear}>
+              Clear log
+            </button>
+          </div>
+          {warnings.length > 0 && (
+              <div className="space-y-2">
+                {warnings.map((warning, idx) => (
+                    <div key={idx} className={clsx('alert text-sm py-2', warning.severity === 'error' ? 'alert-error' : 'alert-warning')}>
+                      <span className="font-semibold">{warning.kind}</span>
+                      <span>{warning.message}</span>
+                    </div>
+                ))}
+              </div>
+          )}
+          {entries.length > 0 ? (
+              <DataTable columns={columns} rows={[...entries].reverse()} />
+          ) : (
+              <p className="small-note">No queries recorded yet.</p>
+          )}
+        </details>
+      </div>
+  );
+}
+
+/*
+* responses are aggregated, so will contain columns like phq9-total
+* */
+const TREND_VIEWS = [
+  { id: 'cross-school', label: 'Across schools' },
+  { id: 'school', label: 'School (by yeargroup)' },
+  { id: 'year-group', label: 'Yeargroup (by school)' },
+  { id: 'ttp', label: 'Across TTPs' },
+];
+
+function trendCellKey(row) {
+  return [row.schoolId, row.yearGroup, row.ethnicity, row.wave].join('|');
+}
+
+/*
+ * Trend of mean totals by wave from the static aggregates: the all-ethnicities table when every
+ * ethnicity is shown, otherwise that ethnicity's cells. Suppressed cells are left out. A point that
+ * covers one released cell shows that cell; a point covering several is pooled by recomputing the
+ * mean and CI from the response totals of those cells, never by averaging the cells' statistics.
+ */
+function SurveyChart({ aggregates, agnosticAggregates, responses, surveys, waves, schools, yearGroups, intervals, seed, schoolToTtp }) {
+  const [surveyId, setSurveyId] = useState(surveys[0].id);
+  const [view, setView] = useState('cross-school');
+  const [school, setSchool] = useState(schools[0]?.id);
+  const [yearGroup, setYearGroup] = useState(yearGroups[0]);
+  const [ethnicity, setEthnicity] = useState('all');
+  const chartRef = useRef(null);
+  const ethnicityOptions = useMemo(
+      () => ['all', ...Array.from(new Set(aggregates.map((row) => row.ethnicity))).sort()],
+      [aggregates],
+  );
+  const survey = surveys.find((s) => s.id === surveyId) || surveys[0];
+  const schoolName = (id) => schools.find((s) => s.id === id)?.name || id;
+
+  const cells = useMemo(() => {
+    const rows = ethnicity === 'all' ? agnosticAggregates : aggregates.filter((row) => row.ethnicity === ethnicity);
+    return rows.filter((row) => !row.suppressed && row[`${survey.id}-n`] > 0);
+  }, [agnosticAggregates, aggregates, ethnicity, survey.id]);
+
+  // Only a pooled bootstrap needs response totals, and only roles that can see the responses get one.
+  const pooledBootstrap = intervals.mean === 'bootstrap' && Boolean(responses);
+  const totalsByCell = useMemo(() => {
+    const byCell = new Map();
+    if (!pooledBootstrap) return byCell;
+    responses.forEach((response) => {
+      const value = response[`${survey.id}-total`];
+      if (!isAnswered(value)) return;
+      const key = trendCellKey({ ...response, ethnicity: ethnicity === 'all' ? 'All ethnicities' : response.ethnicity });
+      if (!byCell.has(key)) byCell.set(key, []);
+      byCell.get(key).push(value);
+    });
+    return byCell;
+  }, [ethnicity, pooledBootstrap, responses, survey.id]);
+
+  const series = useMemo(() => {
+    const ttps = Array.from(new Set(schools.map((s) => schoolToTtp[s.id]).filter(Boolean))).sort();
+    switch (view) {
+      case 'school':
+        return [
+          ...yearGroups.map((yg) => ({ name: `${schoolName(school)} - ${yg}`, match: (row) => row.schoolId === school && row.yearGroup === yg })),
+          { name: `${schoolName(school)} - Total`, match: (row) => row.schoolId === school, total: true },
+        ];
+      case 'year-group':
+        return [
+          ...schools.map((s) => ({ name: `${s.name} - ${yearGroup}`, match: (row) => row.schoolId === s.id && row.yearGroup === yearGroup })),
+          { name: `All schools - ${yearGroup}`, match: (row) => row.yearGroup === yearGroup, total: true },
+        ];
+      case 'ttp':
+        return [
+          ...ttps.map((ttp) => ({ name: ttp, match: (row) => schoolToTtp[row.schoolId] === ttp })),
+          { name: 'All TTPs - Total', match: () => true, total: true },
+        ];
+      default:
+        return [
+          ...schools.map((s) => ({ name: `${s.name} Total`, match: (row) => row.schoolId === s.id })),
+          { name: 'All Schools - Total', match: () => true, total: true },
+        ];
+    }
+  }, [school, schoolToTtp, schools, view, yearGroup, yearGroups]);
 
-    if (view === 'cross-school') {
-      for (const s of schools) {
-        const byWave = orderedWaves.map((wave) => resolvePoint(
-            stats.filter((d) => d.schoolId === s.id && d.wave === wave && (ethnicity === 'all' || d.ethnicity === ethnicity)),
-        ));
-        traces.push({
-          x: orderedWaves,
-          y: byWave.map((d) => d.mean),
-          error_y: { type: 'data', array: byWave.map((d) => d.ci), visible: true },
-          name: `${s.name} Total`,
-          mode: 'lines+markers',
-        });
-      }
-      // Weighted average total line
-      const totalByWave = orderedWaves.map((wave) => {
-        const entries = stats.filter((d) =>
-            d.wave === wave
-            && Number.isFinite(d.mean)
-            && d.n > 0
-            && (ethnicity === 'all' || d.ethnicity === ethnicity));
-        return resolvePoint(entries);
-      });
-      traces.push({
-        x: orderedWaves,
-        y: totalByWave.map((d) => d.mean),
-        error_y: { type: 'data', array: totalByWave.map((d) => d.ci), visible: false },
-        name: `All Schools - Total`,
-        mode: 'lines+markers',
-        line: { dash: 'dashdot', width: 4 },
-      });
-    } else {
-      for (const yg of yearGroups) {
-        const byWave = orderedWaves.map((wave) => resolvePoint(stats.filter((d) =>
-            d.schoolId === school
-            && d.yearGroup === yg
-            && d.wave === wave
-            && (ethnicity === 'all' || d.ethnicity === ethnicity)
-        )));
-        traces.push({
-          x: orderedWaves,
-          y: byWave.map((d) => d.mean),
-          error_y: { type: 'data', array: byWave.map((d) => d.ci), visible: true },
-          name: `${schools.find((s) => s.id === school)?.name || school} - ${yg}`,
-          mode: 'lines+markers',
-        });
+  useEffect(() => {
+    if (!chartRef.current) return;
+    const pointFor = ({ name, match }, wave) => {
+      const released = cells.filter((row) => row.wave === wave && match(row));
+      if (released.length === 0) return null;
+      if (released.length === 1) {
+        const row = released[0];
+        const low = row[`${survey.id}-ciLow`];
+        return {
+          mean: row[`${survey.id}-mean`],
+          ci: low === null ? null : [low, row[`${survey.id}-ciHigh`]],
+          n: row[`${survey.id}-n`],
+          cells: 1,
+        };
       }
-      // Weighted average total line
-      const totalByWave = orderedWaves.map((wave) => {
-        const entries = stats.filter((d) =>
-            d.schoolId === school
-            && d.wave === wave
-            && Number.isFinite(d.mean)
-            && d.n > 0
-            && (ethnicity === 'all' || d.ethnicity === ethnicity));
-        return resolvePoint(entries);
-      });
-      traces.push({
-        x: orderedWaves,
-        y: totalByWave.map((d) => d.mean),
-        error_y: { type: 'data', array: totalByWave.map((d) => d.ci), visible: false },
-        name: `${schools.find((s) => s.id === school)?.name || school} - Total`,
+      const pooled = (suffix) => released.reduce((sum, row) => sum + row[`${survey.id}-${suffix}`], 0);
+      const n = pooled('n');
+      if (n === 0) return null;
+      const sum = pooled('total');
+      const ci = pooledBootstrap
+          ? meanInterval(
+              released.flatMap((row) => totalsByCell.get(trendCellKey(row)) || []),
+              intervals,
+              createResampler(seed, `trend|${name}|${wave}|${survey.id}`),
+          )
+          : meanIntervalFromMoments(n, sum, pooled('sumOfSquares'), intervals);
+      return {
+        mean: Number((sum / n).toFixed(2)),
+        ci,
+        n,
+        cells: released.length,
+      };
+    };
+    const traces = series.map((entry) => {
+      const points = waves.map((wave) => pointFor(entry, wave));
+      return {
+        x: waves,
+        y: points.map((point) => point?.mean ?? null),
+        error_y: intervalErrorBars(points),
+        customdata: points.map((point) => (point ? [
+          point.n,
+          point.cells,
+          point.ci ? point.ci[0].toFixed(2) : '—',
+          point.ci ? point.ci[1].toFixed(2) : '—',
+        ] : null)),
+        hovertemplate: '%{y} (95% CI %{customdata[2]} to %{customdata[3]})<br>n = %{customdata[0]} from %{customdata[1]} released cells<extra>%{fullData.name}</extra>',
+        name: entry.name,
         mode: 'lines+markers',
-        line: { dash: 'dashdot', width: 4 },
-      });
-    }
+        ...(entry.total ? { line: { dash: 'dashdot', width: 4 } } : {}),
+      };
+    }).filter((trace) => trace.y.some((value) => value !== null));
 
     Plotly.react(
         chartRef.current,
         traces,
         {
-          title: `${surveys.find((s) => s.id === surveyId)?.name || ''} by wave`,
-          yaxis: { title: 'Mean score', zeroline: false },
+          title: `${survey.name} by wave (95% CI: ${meanMethodLabel(intervals)})`,
+          yaxis: { title: 'Mean total', zeroline: false },
           xaxis: { title: 'Wave' },
           legend: { orientation: 'h' },
           margin: { t: 40, r: 10, l: 50, b: 40 },
         },
         { responsive: true },
     );
-  }, [stats, view, surveyId, school, yearGroup, surveys, waves, schools, ethnicity]);
-
-  const surveyOptions = useMemo(() => surveys.map((s) => ({ value: s.id, label: s.name })), [surveys]);
+  }, [cells, intervals, pooledBootstrap, seed, series, survey, totalsByCell, waves]);
 
-  const selectedSurvey = useMemo(() => surveys.find((s) => s.id === surveyId), [surveyId, surveys]);
-  const selectionLabel = useMemo(() => {
-    const surveyName = selectedSurvey?.name || 'Survey';
-    if (view === 'cross-school') {
-      return `${surveyName} totals across all schools (wave-by-wave)`;
-    }
-    const schoolName = schools.find((s) => s.id === school)?.name || 'Selected school';
-    if (view === 'school') {
-      return `${surveyName} totals for ${schoolName}`;
-    }
-    throw new Error(`Unknown view type: ${view}`);
-  }, [selectedSurvey, view, schools, school, yearGroup]);
+  const selectionLabel = (() => {
+    const ethnicityLabel = ethnicity === 'all' ? 'all ethnicities' : ethnicity;
+    if (view === 'school') return `${survey.name} totals for ${schoolName(school)} by yeargroup (${ethnicityLabel})`;
+    if (view === 'year-group') return `${survey.name} totals for ${yearGroup} by school (${ethnicityLabel})`;
+    if (view === 'ttp') return `${survey.name} totals by trusted third party (${ethnicityLabel})`;
+    return `${survey.name} totals across all schools (${ethnicityLabel})`;
+  })();
 
   return (
       <div className="section-card">
@@ -1119,10 +3883,10 @@ function SurveyChart({ responses, surveys, waves, schools, yearGroups, schoolToT
         <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
           <label className="daisy-select space-y-1">
             <span>Survey</span>
-            <select value={surveyId} onChange={(e) => setSurveyId(e.target.value)}>
-              {surveyOptions.map((opt) => (
-                  <option key={opt.value} value={opt.value}>
-                    {opt.label}
+            <select value={survey.id} onChange={(e) => setSurveyId(e.target.value)}>
+              {surveys.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
                   </option>
               ))}
             </select>
@@ -1140,11 +3904,14 @@ function SurveyChart({ responses, surveys, waves, schools, yearGroups, schoolToT
           <label className="daisy-select space-y-1">
             <span>View</span>
             <select value={view} onChange={(e) => setView(e.target.value)}>
-              <option value="school">School (by yeargroup)</option>
-              <option value="cross-school">Across schools</option>
+              {TREND_VIEWS.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+              ))}
             </select>
           </label>
-          {view !== 'cross-school' && (
+          {view === 'school' && (
               <label className="daisy-select space-y-1">
                 <span>School</span>
                 <select value={school} onChange={(e) => setSchool(e.target.value)}>
@@ -1157,12 +3924,211 @@ function SurveyChart({ responses, surveys, waves, schools, yearGroups, schoolToT
                 </select>
               </label>
           )}
+          {view === 'year-group' && (
+              <label className="daisy-select space-y-1">
+                <span>Yeargroup</span>
+                <select value={yearGroup} onChange={(e) => setYearGroup(e.target.value)}>
+                  {yearGroups.map((yg) => (
+                      <option key={yg} value={yg}>
+                        {yg}
+                      </option>
+                  ))}
+                </select>
+              </label>
+          )}
+        </div>
+        <p className="small-note mt-2">Showing {selectionLabel} from the static aggregates.</p>
+        <div className="chart-box mt-4">
+          <div ref={chartRef} className="h-[420px]" />
+        </div>
+        <p className="small-note">
+          Lines show mean totals with 95% confidence intervals. Suppressed cells are left out of every point. Where a
+          point covers several released cells (a school total, a TTP, all schools) its mean and CI are pooled from those
+          cells' N, sum and sum of squares rather than averaged across cells.
+          {intervals.mean === 'bootstrap' && !responses
+              && ' A pooled bootstrap needs the response totals, which this view cannot see, so pooled points have no CI.'}
+        </p>
+      </div>
+  );
+}
+
+const BAND_GROUPINGS = [
+  { id: 'all', label: 'All schools' },
+  { id: 'ttp', label: 'TTP' },
+  { id: 'schoolId', label: 'School' },
+  { id: 'yearGroup', label: 'Yeargroup' },
+  { id: 'ethnicity', label: 'Ethnicity' },
+];
+
+/*
+ * Band distributions are aggregated at every grouping × wave and released through the same
+ * suppression as the static aggregates: cells under the threshold are dropped and small band counts
+ * are withheld (shown as one grey "Withheld" segment, which N already gives away). All groupings are
+ * released together, so the linked suppression covers subtracting one grouping from another or from
+ * the static tables.
+ */
+function SeverityBandChart({ responses, surveys, waves, intervals, schoolLookup, schoolToTtp, staticAggregated, staticAggregatedAgnostic }) {
+  const bandedSurveys = useMemo(() => surveys.filter((survey) => survey.severityBands.length > 0), [surveys]);
+  const [surveyId, setSurveyId] = useState(bandedSurveys[0]?.id);
+  const [grouping, setGrouping] = useState('all');
+  const chartRef = useRef(null);
+  const survey = bandedSurveys.find((s) => s.id === surveyId) || bandedSurveys[0];
+
+  const released = useMemo(() => {
+    if (!survey) return null;
+    const groupOf = (option, response) => {
+      if (option === 'ttp') return schoolToTtp[response.schoolId] || '—';
+      if (option === 'all') return 'All schools';
+      return response[option];
+    };
+    const labelOf = (option, group) => (option === 'schoolId' ? schoolLookup[group] || group : group);
+    const byGrouping = Object.fromEntries(BAND_GROUPINGS.map(({ id }) => {
+      const grouped = new Map();
+      responses.forEach((response) => {
+        const key = `${groupOf(id, response)}|${response.wave}`;
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(response);
+      });
+      return [id, applyBandSuppression(applySuppression([...grouped.entries()].map(([key, group]) => {
+        const [value, wave] = key.split('|');
+        const n = group.filter((response) => response[bandKey(survey)]).length;
+        return {
+          key: `${labelOf(id, value)}|${wave}`,
+          group: value,
+          wave,
+          n,
+          [`${survey.id}-n`]: n,
+          ...summariseBands(group, survey, intervals),
+        };
+      })), [survey])];
+    }));
+
+    // Parts are indexed by the total they add up to and its wave, rather than filtered out of every table per total.
+    const partsBy = (rows, totalOf) => {
+      const index = new Map();
+      rows.forEach((row) => {
+        const key = `${totalOf(row)}|${row.wave}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(row);
+      });
+      return (total) => index.get(`${total.group}|${total.wave}`) || [];
+    };
+    const allSchools = () => 'All schools';
+    const bandParts = ['ttp', 'schoolId', 'yearGroup', 'ethnicity'].map((id) => partsBy(byGrouping[id], allSchools));
+    const schoolParts = partsBy(byGrouping.schoolId, (row) => schoolToTtp[row.group]);
+    const staticParts = {
+      all: partsBy(staticAggregatedAgnostic, allSchools),
+      ttp: partsBy(staticAggregatedAgnostic, (row) => schoolToTtp[row.schoolId]),
+      schoolId: partsBy(staticAggregatedAgnostic, (row) => row.schoolId),
+      yearGroup: partsBy(staticAggregatedAgnostic, (row) => row.yearGroup),
+      ethnicity: partsBy(staticAggregated, (row) => row.ethnicity),
+    };
+
+    const links = [];
+    const linkTo = (total, partsOf) => links.push({ total, parts: partsOf(total) });
+    byGrouping.all.forEach((total) => {
+      bandParts.forEach((partsOf) => linkTo(total, partsOf));
+      linkTo(total, staticParts.all);
+    });
+    byGrouping.ttp.forEach((total) => {
+      linkTo(total, schoolParts);
+      linkTo(total, staticParts.ttp);
+    });
+    ['schoolId', 'yearGroup', 'ethnicity'].forEach((id) => byGrouping[id].forEach((total) => linkTo(total, staticParts[id])));
+    protectLinkedCounts(links, [survey], { fixedRows: new Set([...staticAggregated, ...staticAggregatedAgnostic]) });
+    return byGrouping;
+  }, [intervals, responses, schoolLookup, schoolToTtp, staticAggregated, staticAggregatedAgnostic, survey]);
+
+  const distribution = useMemo(() => {
+    if (!released) return { groups: [], cells: new Map(), suppressed: 0 };
+    const rows = released[grouping];
+    const cells = new Map(rows.filter((row) => !row.suppressed).map((row) => [row.key, row]));
+    const groups = Array.from(new Set([...cells.keys()].map((key) => key.split('|')[0]))).sort();
+    return { groups, cells, suppressed: rows.length - cells.size };
+  }, [grouping, released]);
+
+  useEffect(() => {
+    if (!chartRef.current || !survey) return;
+    const { groups, cells } = distribution;
+    const points = groups.flatMap((group) => waves
+        .filter((wave) => cells.has(`${group}|${wave}`))
+        .map((wave) => cells.get(`${group}|${wave}`)));
+    const x = grouping === 'all'
+        ? points.map((row) => row.key.split('|')[1])
+        : [points.map((row) => row.key.split('|')[0]), points.map((row) => row.key.split('|')[1])];
+    const share = (count, row) => Number(((100 * count) / row.n).toFixed(1));
+    const traces = survey.severityBands.map((band, idx) => ({
+      type: 'bar',
+      name: `${band.name} (${band.min}–${band.max})`,
+      x,
+      y: points.map((row) => row[bandShareKey(survey, band)]),
+      customdata: points.map((row) => [
+        row[bandCountKey(survey, band)],
+        row.n,
+        ...bandShareBoundKeys(survey, band).map((key) => row[key]),
+      ]),
+      hovertemplate: `%{y}% (%{customdata[0]} of %{customdata[1]}), 95% CI %{customdata[2]}–%{customdata[3]}% (${proportionMethodLabel(intervals)})<extra>%{fullData.name}</extra>`,
+      marker: { color: severityColor(band, idx) },
+    }));
+    const withheld = points.map((row) => row.n - survey.severityBands
+        .reduce((sum, band) => sum + (row[bandCountKey(survey, band)] ?? 0), 0));
+    traces.push({
+      type: 'bar',
+      name: 'Withheld (small counts)',
+      x,
+      y: points.map((row, idx) => (withheld[idx] ? share(withheld[idx], row) : null)),
+      customdata: points.map((row, idx) => [withheld[idx], row.n]),
+      hovertemplate: '%{y}% (%{customdata[0]} of %{customdata[1]})<extra>%{fullData.name}</extra>',
+      marker: { color: UNLABELLED_COLOR },
+    });
+    Plotly.react(chartRef.current, points.length ? traces : [], {
+      title: points.length ? `${survey.name} severity bands by wave` : 'No unsuppressed data to chart',
+      barmode: 'stack',
+      yaxis: { title: 'Share of responses (%)', range: [0, 100] },
+      xaxis: { title: grouping === 'all' ? 'Wave' : '', automargin: true },
+      legend: { orientation: 'h' },
+      margin: { t: 50, r: 10, l: 60, b: 60 },
+    }, { responsive: true });
+  }, [distribution, grouping, intervals, survey, waves]);
+
+  if (!survey) return null;
+
+  return (
+      <div className="section-card">
+        <h2 className="text-xl font-semibold">Severity band distribution</h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <label className="daisy-select space-y-1">
+            <span>Survey</span>
+            <select value={survey.id} onChange={(e) => setSurveyId(e.target.value)}>
+              {bandedSurveys.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
+                  </option>
+              ))}
+            </select>
+          </label>
+          <label className="daisy-select space-y-1">
+            <span>Group by</span>
+            <select value={grouping} onChange={(e) => setGrouping(e.target.value)}>
+              {BAND_GROUPINGS.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+              ))}
+            </select>
+          </label>
         </div>
-        <p className="small-note mt-2">Showing {selectionLabel} (labelled survey responses).</p>
         <div className="chart-box mt-4">
           <div ref={chartRef} className="h-[420px]" />
         </div>
-        <p className="small-note">Lines show mean scores with 95% confidence intervals. Switch view to compare totals vs items and across schools.</p>
+        <p className="small-note">
+          Stacked bars show the share of relabelled responses in each clinical severity band per group and wave, with the
+          static suppression threshold ({DEFAULT_SUPPRESSION_THRESHOLD}) applied: {distribution.suppressed} suppressed
+          cells are not drawn and band counts below the threshold are merged into the grey segment. Every grouping is
+          released together and checked against the static aggregates, so a cell or band count that subtracting one
+          grouping from another would give away is withheld too. Hover a segment for its 95% CI
+          ({proportionMethodLabel(intervals)}).
+        </p>
       </div>
   );
 }
@@ -1176,10 +4142,7 @@ function ItemResponseChart({ responses, surveys, waves, schools, yearGroups, sch
 
   const survey = useMemo(() => surveys.find((s) => s.id === surveyId), [surveyId, surveys]);
 
-  const itemKeys = useMemo(
-      () => Array.from({ length: survey?.items || 0 }, (_, idx) => `${surveyId}-item-${idx + 1}`),
-      [survey?.items, surveyId],
-  );
+  const items = useMemo(() => (survey ? itemNumbers(survey) : []), [survey]);
 
   const studentOptions = useMemo(() => {
     const pool = responses
@@ -1201,17 +4164,18 @@ function ItemResponseChart({ responses, surveys, waves, schools, yearGroups, sch
     const orderedWaves = [...waves];
     const base = responses.filter((r) => r.schoolId === schoolId && r.yearGroup === yearGroup);
 
-    const traces = itemKeys.map((key, idx) => {
+    const traces = items.map((item) => {
+      const key = itemKey(survey, item);
       const y = orderedWaves.map((wave) => {
         const entries = base.filter((r) => r.wave === wave);
         if (studentUid !== 'all') {
           const studentEntry = entries.find((r) => r.uid === studentUid);
-          const val = Number(studentEntry?.[key]);
+          const val = studentEntry?.[key];
           return Number.isFinite(val) ? val : null;
         }
 
         const values = entries
-            .map((r) => Number(r[key]))
+            .map((r) => r[key])
             .filter((val) => Number.isFinite(val));
         if (values.length === 0) return null;
         const mean = values.reduce((a, b) => a + b, 0) / values.length;
@@ -1222,7 +4186,7 @@ function ItemResponseChart({ responses, surveys, waves, schools, yearGroups, sch
         x: orderedWaves,
         y,
         mode: 'lines+markers',
-        name: `${survey.name} Item ${idx + 1}`,
+        name: itemLabel(survey, item),
       };
     });
 
@@ -1231,14 +4195,14 @@ function ItemResponseChart({ responses, surveys, waves, schools, yearGroups, sch
         traces,
         {
           title: `${survey.name} item scores (${studentUid === 'all' ? 'yeargroup mean' : studentUid})`,
-          yaxis: { title: 'Item score', range: [0, 3], dtick: 1, zeroline: false },
+          yaxis: { title: 'Item score', range: [survey.responseRange.min, survey.responseRange.max], dtick: 1, zeroline: false },
           xaxis: { title: 'Wave' },
           legend: { orientation: 'h' },
           margin: { t: 50, r: 10, l: 60, b: 40 },
         },
         { responsive: true },
     );
-  }, [responses, survey, waves, schoolId, yearGroup, studentUid, itemKeys]);
+  }, [responses, survey, waves, schoolId, yearGroup, studentUid, items]);
 
   return (
       <div className="section-card">
@@ -1298,9 +4262,184 @@ function ItemResponseChart({ responses, surveys, waves, schools, yearGroups, sch
 }
 
 
+/**
+ * The dataset for a seed, scenario and validated import. Scenarios expected to exceed
+ * LARGE_SCALE_STUDENTS are built and schema-checked in a worker (`validation`): meanwhile `dataset`
+ * stays the last one shown (null before the first) and `progress` follows the build stages. Without
+ * worker support the large build runs on the main thread after a paint, so the progress card still shows.
+ */
+function useDataset(seed, scenario, importInput) {
+  const large = (importInput ? importInput.students.length : estimateStudentCount(scenario)) > LARGE_SCALE_STUDENTS;
+  const inline = useMemo(() => {
+    if (large) return null;
+    return importInput ? buildImportedDataset(seed, scenario, importInput) : buildDataset(seed, scenario);
+  }, [importInput, large, seed, scenario]);
+  const [background, setBackground] = useState({ dataset: null, validation: null, progress: null, error: null });
+
+  useEffect(() => {
+    if (!large) return undefined;
+    setBackground({ dataset: null, validation: null, progress: { stage: 'Starting', done: 0, total: 1 }, error: null });
+    const finish = (message) => {
+      if (message.type === 'progress') setBackground((prev) => ({ ...prev, progress: message.progress }));
+      if (message.type === 'done') {
+        setBackground({ dataset: message.dataset, validation: message.validation || null, progress: null, error: null });
+      }
+      if (message.type === 'error') setBackground((prev) => ({ ...prev, progress: null, error: message.message }));
+    };
+    if (typeof Worker === 'undefined') {
+      const timer = setTimeout(() => {
+        try {
+          finish({
+            type: 'done',
+            dataset: importInput ? buildImportedDataset(seed, scenario, importInput) : buildDataset(seed, scenario),
+          });
+        } catch (err) {
+          finish({ type: 'error', message: err.message });
+        }
+      }, 50);
+      return () => clearTimeout(timer);
+    }
+    const worker = new Worker(new URL('./dataset.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => finish(data);
+    worker.onerror = (event) => finish({ type: 'error', message: event.message || 'The dataset worker failed' });
+    worker.postMessage({ seed, scenario, imported: importInput });
+    return () => worker.terminate();
+  }, [importInput, large, seed, scenario]);
+
+  const current = large ? background : { dataset: inline, validation: null, progress: null, error: null };
+  const lastBuilt = useRef(null);
+  useEffect(() => {
+    if (current.dataset) lastBuilt.current = current;
+  });
+  if (current.dataset || !lastBuilt.current) return current;
+  return { ...current, dataset: lastBuilt.current.dataset, validation: lastBuilt.current.validation };
+}
+
+function BuildProgress({ progress, error, students }) {
+  if (error) {
+    return (
+        <div className="alert alert-error">
+          <span>Building the dataset failed: {error}</span>
+        </div>
+    );
+  }
+  if (!progress) return null;
+  return (
+      <div className="alert alert-info flex-col items-start">
+        <span>
+          Building a dataset of about {students.toLocaleString()} students in the background
+          {progress.stage ? ` — ${progress.stage.toLowerCase()}` : ''} ({Math.round((100 * progress.done) / progress.total)}%).
+        </span>
+        <progress className="progress progress-primary w-full" value={progress.done} max={progress.total} />
+      </div>
+  );
+}
+
 function App() {
-  const dataset = useMemo(() => buildDataset(20241201), []);
-  console.log(dataset);
+  const [seed, setSeed] = useState(() => readSeedFromUrl() ?? DEFAULT_SEED);
+  const [scenario, setScenario] = useState(() => readScenarioFromUrl() ?? normalizeScenario(DEFAULT_SCENARIO));
+  const [imported, setImported] = useState(null);
+  const importCheck = useMemo(() => (imported ? validateImport(imported, scenario) : null), [imported, scenario]);
+  const importInput = useMemo(
+      () => (importCheck && importCheck.errors.length === 0 ? { ...importCheck, source: imported.source } : null),
+      [importCheck, imported],
+  );
+  const { dataset, validation, progress, error } = useDataset(seed, scenario, importInput);
+  const build = {
+    progress,
+    error,
+    students: importInput ? importInput.students.length : estimateStudentCount(scenario),
+  };
+
+  useEffect(() => {
+    writeSeedToUrl(seed);
+  }, [seed]);
+
+  useEffect(() => {
+    writeScenarioToUrl(scenario);
+  }, [scenario]);
+
+  if (!dataset) {
+    return (
+        <div className="min-h-screen">
+          <header className="header-bar">
+            <div className="app-shell py-6">
+              <h1>IB Oxford data handling mockup</h1>
+            </div>
+          </header>
+          <main className="app-shell">
+            <BuildProgress {...build} />
+            {build.error && <ScenarioEditor scenario={scenario} onApply={setScenario} />}
+          </main>
+        </div>
+    );
+  }
+  return (
+      <Workspace
+          dataset={dataset}
+          validation={validation}
+          build={build}
+          seed={seed}
+          onSeedChange={setSeed}
+          scenario={scenario}
+          onScenarioChange={setScenario}
+          imported={imported}
+          importCheck={importCheck}
+          onImport={setImported}
+      />
+  );
+}
+
+function mapSurveyRow(row) {
+  const extras = {};
+  (row.items || []).forEach((item) => {
+    const match = item.item.match(/Item (\d+)/);
+    if (match) {
+      extras[`${row.surveyId}-item-${match[1]}`] = item.score;
+    }
+  });
+  return { ...row, ...extras };
+}
+
+/*
+ * Everything shown for a built dataset. It stays mounted while a large scenario rebuilds in the
+ * background, so labels, the query log and the entity view survive the rebuild.
+ */
+function Workspace({ dataset, validation, build, seed, onSeedChange, scenario, onScenarioChange, imported, importCheck, onImport }) {
+  const scenarioKey = useMemo(() => JSON.stringify(dataset.scenario), [dataset.scenario]);
+  const largeScale = dataset.students.length > LARGE_SCALE_STUDENTS;
+  const [viewAs, setViewAs] = useState(() => readViewFromUrl());
+  const access = useMemo(
+      () => (viewAs ? resolveEntityAccess(dataset.entityMatrix, viewAs, dataset.schools) : null),
+      [dataset.entityMatrix, dataset.schools, viewAs],
+  );
+  const visibleDataset = useMemo(() => scopeDataset(dataset, access?.schoolIds || null), [dataset, access]);
+  const [dynamicQueries, setDynamicQueries] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+
+  const recordDynamicQuery = useCallback((query) => {
+    const signature = JSON.stringify([
+      query.fingerprint,
+      query.filters,
+      query.groupingFields,
+      query.suppressionThreshold,
+      query.privacy,
+      query.missingData,
+    ]);
+    if (!query.refused) {
+      setDynamicQueries((prev) => (prev.some((q) => q.signature === signature) ? prev : [...prev, { ...query, signature }]));
+    }
+    setAuditLog((prev) => {
+      const entry = createAuditEntry(query, { id: (prev[prev.length - 1]?.id || 0) + 1, seed: query.seed });
+      const last = prev[prev.length - 1];
+      return last && auditSignature(last) === auditSignature(entry) ? prev : [...prev, entry];
+    });
+  }, []);
+
+  const currentQueries = useMemo(
+      () => dynamicQueries.filter((query) => query.fingerprint === dataset.fingerprint),
+      [dataset.fingerprint, dynamicQueries],
+  );
   const initialSets = useMemo(() => loadLabelSets() || [DEFAULT_LABEL_SET], []);
   const [labelSets, setLabelSets] = useState(initialSets);
   const [activeSetName, setActiveSetName] = useState(initialSets[0]?.name || DEFAULT_LABEL_SET.name);
@@ -1314,6 +4453,10 @@ function App() {
     saveLabelSets(labelSets);
   }, [labelSets]);
 
+  useEffect(() => {
+    writeViewToUrl(access ? viewAs : null);
+  }, [access, viewAs]);
+
   const uniqueName = (base, sets) => {
     let candidate = base;
     let suffix = 0;
@@ -1390,7 +4533,7 @@ function App() {
     }
   }, []);
 
-  const filterRows = (rows, map) => rows.map(map || ((r) => r));
+  const canSee = (sectionKey) => !access || access.sections.has(sectionKey);
 
   const ethnicityOptions = useMemo(
       () => Array.from(new Set(dataset.students.map((s) => s.ethnicity))).sort(),
@@ -1412,101 +4555,145 @@ function App() {
       [dataset.schools, ttpLookup],
   );
 
-  const credentialColumns = [
-    { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
-    { key: 'schoolId', label: 'School', render: (value) => schoolLookup[value] || value },
-    { key: 'id', label: 'ID' },
-    { key: 'password', label: 'Password' },
-  ];
-
-  const studentCredentialColumns = [
-    { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
-    { key: 'schoolId', label: 'School', render: (value) => schoolLookup[value] || value },
-    { key: 'yearGroup', label: 'Yeargroup' },
-    { key: 'ethnicity', label: 'Ethnicity' },
-    { key: 'name', label: 'Student' },
-    { key: 'id', label: 'Login ID' },
-    { key: 'password', label: 'Password' },
-  ];
-
   const surveyItemColumns = useMemo(() => {
     const columns = [];
+    const renderScore = (value) => value ?? '—';
     dataset.surveys.forEach((survey) => {
-      columns.push({
-        key: `${survey.id}-total`,
-        label: `${survey.name} Total`,
-        render: (_, row) => Array.from({ length: survey.items }, (_, idx) => row[`${survey.id}-item-${idx + 1}`] || 0).reduce((a, b) => a + b, 0),
-      })
-      for (let i = 1; i <= survey.items; i += 1) {
+      columns.push({ key: `${survey.id}-total`, label: `${survey.name} Total`, render: renderScore });
+      if (survey.severityBands.length > 0) {
+        columns.push({ key: bandKey(survey), label: `${survey.name} Band`, render: renderBand(survey) });
+      }
+      survey.subscales.forEach((subscale) => {
+        columns.push({ key: subscaleKey(survey, subscale), label: `${survey.name} ${subscale.name}`, render: renderScore });
+      });
+      itemNumbers(survey).forEach((item) => {
         columns.push({
-          key: `${survey.id}-item-${i}`,
-          label: `${survey.name} Item ${i}`,
-          render: (value) => (value ?? value === 0 ? value : '—'),
+          key: itemKey(survey, item),
+          label: itemLabel(survey, item),
+          title: survey.itemWording[item - 1],
+          render: renderScore,
         });
-      }
+      });
     });
     return columns;
   }, [dataset.surveys]);
 
+  // Memoised, like the rows below, so a table keeps its text index while the rest of the workspace re-renders.
+  const sectionColumns = useMemo(() => {
+    const credentials = [
+      { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
+      { key: 'schoolId', label: 'School', render: (value) => schoolLookup[value] || value },
+      { key: 'id', label: 'ID' },
+      { key: 'password', label: 'Password' },
+    ];
 
-  const surveyColumns = [
-    { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
-    { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
-    { key: 'yearGroup', label: 'Yeargroup' },
-    { key: 'ethnicity', label: 'Ethnicity' },
-    { key: 'studentId', label: 'Student' },
-    { key: 'wave', label: 'Wave' },
-    ...surveyItemColumns,
-  ];
+    const studentCredentials = [
+      { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
+      { key: 'schoolId', label: 'School', render: (value) => schoolLookup[value] || value },
+      { key: 'yearGroup', label: 'Yeargroup' },
+      { key: 'ethnicity', label: 'Ethnicity' },
+      { key: 'name', label: 'Student' },
+      { key: 'id', label: 'Login ID' },
+      { key: 'password', label: 'Password' },
+    ];
 
-  const relabelledSurveyColumns = [
-    { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
-    { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
-    { key: 'yearGroup', label: 'Yeargroup' },
-    { key: 'ethnicity', label: 'Ethnicity' },
-    { key: 'uid', label: 'Student' },
-    { key: 'wave', label: 'Wave' },
-    ...surveyItemColumns,
-  ];
+    const surveyResponses = [
+      { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
+      { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
+      { key: 'yearGroup', label: 'Yeargroup' },
+      { key: 'ethnicity', label: 'Ethnicity' },
+      { key: 'studentId', label: 'Student' },
+      { key: 'wave', label: 'Wave' },
+      ...surveyItemColumns,
+    ];
 
-  const rewriteColumns = [
-    { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
-    { key: 'studentId', label: 'Student ID' },
-    { key: 'ethnicity', label: 'Ethnicity' },
-    { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
-    { key: 'uid', label: 'UID' },
-  ];
+    const relabelledSurveyResponses = [
+      { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
+      { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
+      { key: 'yearGroup', label: 'Yeargroup' },
+      { key: 'ethnicity', label: 'Ethnicity' },
+      { key: 'uid', label: 'Student' },
+      { key: 'wave', label: 'Wave' },
+      ...surveyItemColumns,
+    ];
 
-  const aggregateColumns = [
-    { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
-    { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
-    { key: 'yearGroup', label: 'Yeargroup' },
-    { key: 'ethnicity', label: 'Ethnicity' },
-    { key: 'wave', label: 'Wave' },
-    { key: 'phq9-n', label: 'PHQ9 N' },
-    { key: 'phq9-mean', label: 'PHQ9 Mean Total' },
-    { key: 'phq9-ci95', label: 'PHQ9 95% CI' },
-    { key: 'gad7-n', label: 'GAD7 N' },
-    { key: 'gad7-mean', label: 'GAD7 Mean Total' },
-    { key: 'gad7-ci95', label: 'GAD7 95% CI' },
-  ];
+    const rewriteMap = [
+      { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
+      { key: 'studentId', label: 'Student ID' },
+      { key: 'ethnicity', label: 'Ethnicity' },
+      { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
+      { key: 'uid', label: 'UID' },
+    ];
+
+    const staticAggregated = [
+      { key: 'ttp', label: 'TTP', render: (_, row) => schoolToTtp[row.schoolId] || '—' },
+      { key: 'schoolId', label: 'School', render: (v) => schoolLookup[v] || v },
+      { key: 'yearGroup', label: 'Yeargroup' },
+      { key: 'ethnicity', label: 'Ethnicity' },
+      { key: 'wave', label: 'Wave' },
+      ...dataset.surveys.flatMap((survey) => [
+        ...meanColumns(survey, meanMethodLabel(dataset.scenario.intervals)),
+        ...bandColumns(survey, dataset.scenario.intervals),
+      ]),
+      { key: 'suppressionType', label: 'Suppression', render: renderSuppressionType },
+      { key: 'notes', label: 'Notes' },
+    ];
+
+    const columns = { credentials, studentCredentials, rewriteMap, surveyResponses, relabelledSurveyResponses, staticAggregated };
+    return Object.fromEntries(Object.entries(columns).map(([sectionKey, list]) => {
+      const hidden = access?.hiddenColumns[sectionKey] || [];
+      return [sectionKey, list.filter((column) => !hidden.includes(column.key))];
+    }));
+  }, [access, dataset.scenario.intervals, dataset.surveys, schoolLookup, schoolToTtp, surveyItemColumns]);
+
+  const sectionRows = useMemo(() => {
+    const filterRows = (rows, map) => rows
+        .filter((row) => !access?.schoolIds || access.schoolIds.has(row.schoolId))
+        .map(map || ((r) => r));
+    return {
+      credentials: filterRows(dataset.credentials),
+      studentCredentials: filterRows(dataset.studentCredentials),
+      rewriteMap: filterRows(dataset.rewriteMap),
+      surveyResponses: filterRows(dataset.surveyResponses, mapSurveyRow),
+      relabelledSurveyResponses: filterRows(dataset.relabelledSurveyResponses, mapSurveyRow),
+      staticAggregated: filterRows([...dataset.staticAggregated, ...dataset.staticAggregatedAgnostic]),
+    };
+  }, [access, dataset]);
+
+  const visibleSchools = useMemo(
+      () => dataset.schools.filter((school) => !access?.schoolIds || access.schoolIds.has(school.id)),
+      [access, dataset.schools],
+  );
+  const releasedSchools = useMemo(() => {
+    const released = new Set(visibleDataset.staticAggregatedAgnostic.map((row) => row.schoolId));
+    return dataset.schools.filter((school) => released.has(school.id));
+  }, [dataset.schools, visibleDataset.staticAggregatedAgnostic]);
 
-  const mapSurveyRow = (row) => {
-    const extras = {};
-    (row.items || []).forEach((item) => {
-      const match = item.item.match(/Item (\d+)/);
-      if (match) {
-        extras[`${row.surveyId}-item-${match[1]}`] = item.score;
-      }
-    });
-    return { ...row, ...extras };
-  };
 
   const ensureAssignments = (sectionKey) => activeSet.assignments?.[sectionKey] || [];
   const resolvedLabels = (sectionKey) => ensureAssignments(sectionKey)
       .map((id) => activeSet.labels.find((label) => label.id === id))
       .filter(Boolean);
 
+  const exportMetadata = (sectionKey, title, suppressionThreshold = null) => ({
+    dataset: title,
+    section: sectionKey,
+    seed: dataset.seed,
+    fingerprint: dataset.fingerprint,
+    viewAs: access?.entity || 'Everything',
+    labelSet: activeSet.name,
+    labels: resolvedLabels(sectionKey).map((label) => label.name),
+    labelSetAssignments: Object.fromEntries(
+        Object.entries(activeSet.assignments || {}).map(([section, ids]) => [
+          section,
+          ids.map((id) => activeSet.labels.find((label) => label.id === id)?.name || id),
+        ]),
+    ),
+    suppressionThreshold,
+    missingData: describeMissingData(dataset.scenario.missingData),
+    intervals: describeIntervals(dataset.scenario.intervals),
+  });
+
   const updateActiveSet = (updater) => {
     setLabelSets((prev) => prev.map((set) => {
       if (set.name !== activeSet.name) return set;
@@ -1604,12 +4791,27 @@ function App() {
                   Seeded, reproducible mock data to help stakeholders explore what is collected, how it is categorised, and how it flows between entities.
                 </p>
               </div>
-              <div className="badge-seed">Demo dataset (seed {dataset.seed})</div>
+              <div className="flex flex-col items-start gap-2 md:items-end">
+                <div className="flex flex-wrap gap-2">
+                  <div className="badge-seed">
+                    {dataset.source ? `Imported ${dataset.source.responses} (seed ${dataset.seed})` : `Demo dataset (seed ${dataset.seed})`}
+                  </div>
+                  <div
+                      className="badge-fingerprint"
+                      title={Object.entries(dataset.tableDigests).map(([name, value]) => `${name}: ${value}`).join('\n')}
+                  >
+                    Fingerprint {dataset.fingerprint}
+                  </div>
+                </div>
+                <SeedControls seed={seed} onChange={onSeedChange} />
+                <EntitySwitcher entityMatrix={dataset.entityMatrix} value={access ? viewAs : null} onChange={setViewAs} />
+              </div>
             </div>
           </div>
         </header>
 
         <main className="app-shell">
+          <BuildProgress {...build} />
 
           <LabelSetManager
               labelSets={labelSets}
@@ -1623,91 +4825,232 @@ function App() {
               onRemoveLabelDefinition={removeLabelDefinition}
               onShare={buildShareLink}
           />
+          {access ? (
+              <div className="alert alert-info">
+                <span>
+                  Viewing as <strong>{access.entity}</strong>: {access.sections.size} dataset{access.sections.size === 1 ? '' : 's'}
+                  {access.schoolIds ? `, rows from ${access.schoolIds.size} school${access.schoolIds.size === 1 ? '' : 's'}` : ', rows from every school'}.
+                  Sections, columns and rows outside this entity's access are hidden.
+                </span>
+                <button className="btn btn-sm btn-ghost" type="button" onClick={() => setViewAs(null)}>Show everything</button>
+              </div>
+          ) : (
+              <>
+                <ScenarioEditor scenario={scenario} onApply={onScenarioChange} />
+                <ImportPanel
+                    scenario={scenario}
+                    active={imported?.source}
+                    activeErrors={importCheck?.errors}
+                    onImport={onImport}
+                    onClear={() => onImport(null)}
+                />
+                <SchemaValidationPanel dataset={dataset} validation={validation} />
+              </>
+          )}
           <TtpPanel ttps={dataset.ttps} schools={dataset.schools} />
-
-          <DatasetSection
-              title="ID + Password combinations"
-              description="Credentials that are not assigned to an individual student, scoped by school and area."
-              columns={credentialColumns}
-              rows={filterRows(dataset.credentials)}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('credentials')}
-              onAddLabel={(labelId) => addLabelToSection('credentials', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('credentials', labelId)}
+          <AccessMatrixPanel
+              metadata={dataset.metadata}
+              entityMatrix={dataset.entityMatrix}
+              resolvedLabels={resolvedLabels}
+              activeEntityId={access?.entityId}
           />
+          <DataFlowSankey dataset={dataset} resolvedLabels={resolvedLabels} />
+
+          {canSee('credentials') && (
+              <DatasetSection
+                  sectionKey="credentials"
+                  title="ID + Password combinations"
+                  description="Credentials that are not assigned to an individual student, scoped by school and area."
+                  columns={sectionColumns.credentials}
+                  rows={sectionRows.credentials}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('credentials')}
+                  onAddLabel={(labelId) => addLabelToSection('credentials', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('credentials', labelId)}
+                  exportMetadata={exportMetadata('credentials', 'ID + Password combinations')}
+              />
+          )}
 
-          <DatasetSection
-              title="ID + Password + Student combinations"
-              description="Student-facing credentials including yeargroup alignment."
-              columns={studentCredentialColumns}
-              rows={filterRows(dataset.studentCredentials)}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('studentCredentials')}
-              onAddLabel={(labelId) => addLabelToSection('studentCredentials', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('studentCredentials', labelId)}
-          />
+          {canSee('studentCredentials') && (
+              <DatasetSection
+                  sectionKey="studentCredentials"
+                  title="ID + Password + Student combinations"
+                  description="Student-facing credentials including yeargroup alignment."
+                  columns={sectionColumns.studentCredentials}
+                  rows={sectionRows.studentCredentials}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('studentCredentials')}
+                  onAddLabel={(labelId) => addLabelToSection('studentCredentials', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('studentCredentials', labelId)}
+                  exportMetadata={exportMetadata('studentCredentials', 'ID + Password + Student combinations')}
+              />
+          )}
 
-          <DatasetSection
-              title="ID Rewrite Map"
-              description="Maps student IDs to UIDs for pseudonymisation."
-              columns={rewriteColumns}
-              rows={filterRows(dataset.rewriteMap)}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('rewriteMap')}
-              onAddLabel={(labelId) => addLabelToSection('rewriteMap', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('rewriteMap', labelId)}
-          />
+          {canSee('rewriteMap') && (
+              <DatasetSection
+                  sectionKey="rewriteMap"
+                  title="ID Rewrite Map"
+                  description="Maps student IDs to UIDs for pseudonymisation."
+                  columns={sectionColumns.rewriteMap}
+                  rows={sectionRows.rewriteMap}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('rewriteMap')}
+                  onAddLabel={(labelId) => addLabelToSection('rewriteMap', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('rewriteMap', labelId)}
+                  exportMetadata={exportMetadata('rewriteMap', 'ID Rewrite Map')}
+              />
+          )}
 
-          <DatasetSection
-              title="Labelled student survey responses"
-              description="Survey data labelled with student ID and wave."
-              columns={surveyColumns}
-              rows={filterRows(dataset.surveyResponses, mapSurveyRow)}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('surveyResponses')}
-              onAddLabel={(labelId) => addLabelToSection('surveyResponses', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('surveyResponses', labelId)}
-          />
+          {canSee('surveyResponses') && (
+              <DatasetSection
+                  sectionKey="surveyResponses"
+                  title="Labelled student survey responses"
+                  description="Survey data labelled with student ID and wave."
+                  columns={sectionColumns.surveyResponses}
+                  rows={sectionRows.surveyResponses}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('surveyResponses')}
+                  onAddLabel={(labelId) => addLabelToSection('surveyResponses', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('surveyResponses', labelId)}
+                  exportMetadata={exportMetadata('surveyResponses', 'Labelled student survey responses')}
+              />
+          )}
 
-          <DatasetSection
-              title="Relabelled student survey responses"
-              description="Survey data with student IDs rewritten to UIDs."
-              columns={relabelledSurveyColumns}
-              rows={filterRows(dataset.relabelledSurveyResponses, mapSurveyRow)}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('relabelledSurveyResponses')}
-              onAddLabel={(labelId) => addLabelToSection('relabelledSurveyResponses', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('relabelledSurveyResponses', labelId)}
-          />
+          {canSee('relabelledSurveyResponses') && (
+              <DatasetSection
+                  sectionKey="relabelledSurveyResponses"
+                  title="Relabelled student survey responses"
+                  description="Survey data with student IDs rewritten to UIDs."
+                  columns={sectionColumns.relabelledSurveyResponses}
+                  rows={sectionRows.relabelledSurveyResponses}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('relabelledSurveyResponses')}
+                  onAddLabel={(labelId) => addLabelToSection('relabelledSurveyResponses', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('relabelledSurveyResponses', labelId)}
+                  exportMetadata={exportMetadata('relabelledSurveyResponses', 'Relabelled student survey responses')}
+              />
+          )}
 
-          <DatasetSection
-              title="Static aggregated data"
-              description="Yeargroup-level aggregates by wave with confidence intervals, split by ethnicity and all-ethnicities totals."
-              columns={aggregateColumns}
-              rows={filterRows([...dataset.staticAggregated, ...dataset.staticAggregatedAgnostic])}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('staticAggregated')}
-              onAddLabel={(labelId) => addLabelToSection('staticAggregated', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('staticAggregated', labelId)}
-          />
+          {canSee('relabelledSurveyResponses') && (
+              <MissingDataPanel dataset={visibleDataset} schoolLookup={schoolLookup} />
+          )}
 
-          <DynamicAggregatedSection
-              dataset={dataset}
-              labelOptions={labelOptions}
-              assignedLabels={resolvedLabels('dynamicAggregated')}
-              onAddLabel={(labelId) => addLabelToSection('dynamicAggregated', labelId)}
-              onRemoveLabel={(labelId) => removeLabelFromSection('dynamicAggregated', labelId)}
-              schoolLookup={schoolLookup}
-          />
+          {canSee('relabelledSurveyResponses') && (
+              <RetentionPanel key={`retention-${scenarioKey}`} dataset={visibleDataset} schoolLookup={schoolLookup} />
+          )}
 
-          <ItemResponseChart
-              responses={dataset.relabelledSurveyResponses}
-              surveys={dataset.surveys}
-              waves={dataset.waves}
-              schools={dataset.schools}
-              yearGroups={dataset.yearGroups}
-              schoolToTtp={schoolToTtp}
-          />
+          {canSee('relabelledSurveyResponses') && (
+              <ReliableChangePanel
+                  key={`change-${scenarioKey}`}
+                  dataset={visibleDataset}
+                  schoolLookup={schoolLookup}
+                  schoolToTtp={schoolToTtp}
+              />
+          )}
+
+          {canSee('relabelledSurveyResponses') && (largeScale ? (
+              <ScaleLimitedPanel
+                  title="Disclosure risk of relabelled responses"
+                  students={dataset.students.length}
+                  reason="the equivalence classes and the generalisation search are recomputed on every change and take minutes over this many records."
+              />
+          ) : (
+              <DisclosureRiskPanel key={`risk-${scenarioKey}-${access?.entityId}`} dataset={visibleDataset} schoolLookup={schoolLookup} />
+          ))}
+
+          {canSee('staticAggregated') && (
+              <DatasetSection
+                  sectionKey="staticAggregated"
+                  title="Static aggregated data"
+                  description="Yeargroup-level aggregates by wave with confidence intervals, split by ethnicity and all-ethnicities totals. Amber rows are secondary suppressions that stop a suppressed ethnicity cell being recovered from the all-ethnicities total."
+                  columns={sectionColumns.staticAggregated}
+                  rows={sectionRows.staticAggregated}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('staticAggregated')}
+                  onAddLabel={(labelId) => addLabelToSection('staticAggregated', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('staticAggregated', labelId)}
+                  exportMetadata={exportMetadata('staticAggregated', 'Static aggregated data', DEFAULT_SUPPRESSION_THRESHOLD)}
+              />
+          )}
+
+          {canSee('staticAggregated') && (
+              <SurveyChart
+                  key={`trend-${scenarioKey}-${access?.entityId}`}
+                  aggregates={visibleDataset.staticAggregated}
+                  agnosticAggregates={visibleDataset.staticAggregatedAgnostic}
+                  responses={canSee('relabelledSurveyResponses') ? visibleDataset.relabelledSurveyResponses : null}
+                  surveys={dataset.surveys}
+                  waves={dataset.waves}
+                  schools={releasedSchools}
+                  yearGroups={dataset.yearGroups}
+                  intervals={dataset.scenario.intervals}
+                  seed={dataset.seed}
+                  schoolToTtp={schoolToTtp}
+              />
+          )}
+
+          {canSee('staticAggregated') && (
+              <SeverityBandChart
+                  key={`bands-${scenarioKey}-${access?.entityId}`}
+                  responses={visibleDataset.relabelledSurveyResponses}
+                  surveys={dataset.surveys}
+                  waves={dataset.waves}
+                  intervals={dataset.scenario.intervals}
+                  schoolLookup={schoolLookup}
+                  schoolToTtp={schoolToTtp}
+                  staticAggregated={visibleDataset.staticAggregated}
+                  staticAggregatedAgnostic={visibleDataset.staticAggregatedAgnostic}
+              />
+          )}
+
+          {canSee('dynamicAggregated') && (
+              <DynamicAggregatedSection
+                  key={`dynamic-${scenarioKey}`}
+                  dataset={visibleDataset}
+                  labelOptions={labelOptions}
+                  assignedLabels={resolvedLabels('dynamicAggregated')}
+                  onAddLabel={(labelId) => addLabelToSection('dynamicAggregated', labelId)}
+                  onRemoveLabel={(labelId) => removeLabelFromSection('dynamicAggregated', labelId)}
+                  schoolLookup={schoolLookup}
+                  schoolToTtp={schoolToTtp}
+                  onQuery={recordDynamicQuery}
+                  exportMetadata={exportMetadata('dynamicAggregated', 'Dynamic aggregated data')}
+              />
+          )}
+
+          {!access && (
+              <>
+                {largeScale ? (
+                    <ScaleLimitedPanel
+                        title="Differencing attack demonstrator"
+                        students={dataset.students.length}
+                        reason="the attack solves a linear system over every published cell, which takes minutes for an authority's worth of schools."
+                    />
+                ) : (
+                    <DifferencingAttackPanel
+                        dataset={dataset}
+                        dynamicQueries={currentQueries}
+                        onClearQueries={() => setDynamicQueries([])}
+                        schoolLookup={schoolLookup}
+                        schoolToTtp={schoolToTtp}
+                    />
+                )}
+
+                <AuditLogPanel entries={auditLog} onClear={() => setAuditLog([])} schoolLookup={schoolLookup} />
+              </>
+          )}
+
+          {canSee('relabelledSurveyResponses') && (
+              <ItemResponseChart
+                  key={`items-${scenarioKey}-${access?.entityId}`}
+                  responses={visibleDataset.relabelledSurveyResponses}
+                  surveys={dataset.surveys}
+                  waves={dataset.waves}
+                  schools={visibleSchools}
+                  yearGroups={dataset.yearGroups}
+                  schoolToTtp={schoolToTtp}
+              />
+          )}
         </main>
       </div>
   );
@@ -0,0 +1,157 @@
+import {itemKey, itemLabel, itemNumbers, scoredFields} from './instruments.js';
+
+export const MISSING_DATA_STRATEGIES = [
+  { id: 'complete', name: 'Complete case', description: 'A total is only scored when every item was answered.' },
+  { id: 'prorate', name: 'Prorated totals', description: 'Totals are scaled up from the answered items when at most N items are missing.' },
+  { id: 'impute', name: 'Item-mean imputation', description: 'A missing item takes the rounded mean of that item in the same wave.' },
+];
+
+/* `maxMissing: null` keeps each instrument's own prorating limit. */
+export const DEFAULT_MISSING_DATA = { itemRate: 0.03, strategy: 'prorate', maxMissing: null };
+
+/**
+ * Fill a partial missing-data setting from the defaults and check it.
+ * Throws an Error describing the first problem found.
+ */
+export function normalizeMissingData(config = {}) {
+  const resolved = { ...DEFAULT_MISSING_DATA, ...config };
+  const itemRate = Number(resolved.itemRate);
+  if (!Number.isFinite(itemRate) || itemRate < 0 || itemRate > 0.5) {
+    throw new Error('Item missing rate must be between 0% and 50%');
+  }
+  if (!MISSING_DATA_STRATEGIES.some((strategy) => strategy.id === resolved.strategy)) {
+    throw new Error(`Unknown missing-data strategy ${resolved.strategy}`);
+  }
+  const maxMissing = resolved.maxMissing === null || resolved.maxMissing === '' ? null : Number(resolved.maxMissing);
+  if (maxMissing !== null && (!Number.isInteger(maxMissing) || maxMissing < 0)) {
+    throw new Error('Maximum missing items must be a whole number of at least 0');
+  }
+  return { itemRate, strategy: resolved.strategy, maxMissing };
+}
+
+export function isAnswered(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function describeMissingData({ strategy, maxMissing }) {
+  if (strategy === 'prorate') {
+    return maxMissing === null ? 'Prorated totals (instrument limits)' : `Prorated totals (up to ${maxMissing} missing)`;
+  }
+  return MISSING_DATA_STRATEGIES.find((entry) => entry.id === strategy)?.name || strategy;
+}
+
+/* Item keys of every survey, built once per pass rather than once per response. */
+function itemKeysOf(surveys) {
+  return surveys.flatMap((survey) => itemNumbers(survey).map((item) => ({ survey, item, key: itemKey(survey, item) })));
+}
+
+function itemMeansByWave(responses, surveys) {
+  const items = itemKeysOf(surveys);
+  const sums = new Map();
+  responses.forEach((response) => {
+    if (!sums.has(response.wave)) sums.set(response.wave, new Map(items.map(({ key }) => [key, { sum: 0, count: 0 }])));
+    const totals = sums.get(response.wave);
+    items.forEach(({ key }) => {
+      const value = response[key];
+      if (!isAnswered(value)) return;
+      const entry = totals.get(key);
+      entry.sum += value;
+      entry.count += 1;
+    });
+  });
+  return new Map([...sums.entries()].flatMap(([wave, totals]) => [...totals.entries()]
+      .filter(([, { count }]) => count > 0)
+      .map(([key, { sum, count }]) => [`${wave}|${key}`, Math.round(sum / count)])));
+}
+
+/**
+ * Re-score every survey total, subscale and band of the responses under a missing-data strategy.
+ * Item values are left as collected (null when missing); only the scored fields change, and a score
+ * the strategy cannot produce is null rather than 0.
+ */
+export function applyMissingDataStrategy(responses, surveys, { strategy, maxMissing }) {
+  const means = strategy === 'impute' ? itemMeansByWave(responses, surveys) : null;
+  const keys = surveys.map((survey) => itemNumbers(survey).map((item) => itemKey(survey, item)));
+  const limits = surveys.map((survey) => (strategy === 'prorate' ? maxMissing ?? survey.prorating.maxMissing : 0));
+  return responses.map((response) => {
+    const rescored = { ...response };
+    surveys.forEach((survey, idx) => {
+      // Only a response with a blank to impute needs a copy of its items; the rest are scored as they are.
+      const items = means && keys[idx].some((key) => !isAnswered(response[key]))
+          ? Object.fromEntries(keys[idx].map((key) => [
+            key,
+            isAnswered(response[key]) ? response[key] : means.get(`${response.wave}|${key}`) ?? null,
+          ]))
+          : response;
+      Object.assign(rescored, scoredFields(survey, items, { maxMissing: limits[idx] }));
+    });
+    return rescored;
+  });
+}
+
+export const MISSINGNESS_GROUPINGS = [
+  { id: 'school', label: 'School', fields: ['schoolId'] },
+  { id: 'wave', label: 'Wave', fields: ['wave'] },
+  { id: 'school-wave', label: 'School × wave', fields: ['schoolId', 'wave'] },
+  { id: 'item', label: 'Item', fields: ['item'] },
+  { id: 'item-wave', label: 'Item × wave', fields: ['item', 'wave'] },
+];
+
+/**
+ * Missingness report grouped by any of school, wave and item. Respondent groupings count expected
+ * student × wave responses, missing waves, missing items and totals left unscored per survey; item
+ * groupings count answered and missing values of each item.
+ */
+export function summariseMissingness({ students, responses, surveys, waves }, fields) {
+  const groups = new Map();
+  // `overrides` (an item or wave) is kept apart so a response or student is not copied per group.
+  const groupFor = (values, overrides = {}) => {
+    const valueOf = (field) => (field in overrides ? overrides[field] : values[field]);
+    const key = fields.map(valueOf).join('|');
+    if (!groups.has(key)) groups.set(key, Object.fromEntries(fields.map((field) => [field, valueOf(field)])));
+    return groups.get(key);
+  };
+
+  if (fields.includes('item')) {
+    const items = itemKeysOf(surveys);
+    responses.forEach((response) => {
+      items.forEach(({ survey, item, key }) => {
+        const row = groupFor(response, { item: key });
+        if (!row.label) row.label = itemLabel(survey, item);
+        row.responses = (row.responses || 0) + 1;
+        row.missing = (row.missing || 0) + (isAnswered(response[key]) ? 0 : 1);
+      });
+    });
+    return [...groups.values()].map((row) => ({ ...row, missingPct: Number(((100 * row.missing) / row.responses).toFixed(1)) }));
+  }
+
+  const keys = surveys.map((survey) => itemNumbers(survey).map((item) => itemKey(survey, item)));
+  students.forEach((student) => {
+    waves.forEach((wave) => {
+      const row = groupFor(student, { wave });
+      row.expected = (row.expected || 0) + 1;
+    });
+  });
+  responses.forEach((response) => {
+    const row = groupFor(response);
+    row.responses = (row.responses || 0) + 1;
+    surveys.forEach((survey, idx) => {
+      const missing = keys[idx].filter((key) => !isAnswered(response[key])).length;
+      row[`${survey.id}-slots`] = (row[`${survey.id}-slots`] || 0) + survey.items;
+      row[`${survey.id}-missing`] = (row[`${survey.id}-missing`] || 0) + missing;
+      row[`${survey.id}-unscored`] = (row[`${survey.id}-unscored`] || 0) + (isAnswered(response[`${survey.id}-total`]) ? 0 : 1);
+    });
+  });
+  return [...groups.values()].map((row) => {
+    const summary = { ...row, expected: row.expected || 0, responses: row.responses || 0 };
+    summary.missingWaves = Math.max(0, summary.expected - summary.responses);
+    surveys.forEach((survey) => {
+      const slots = row[`${survey.id}-slots`] || 0;
+      delete summary[`${survey.id}-slots`];
+      summary[`${survey.id}-missing`] = row[`${survey.id}-missing`] || 0;
+      summary[`${survey.id}-missingPct`] = slots ? Number(((100 * summary[`${survey.id}-missing`]) / slots).toFixed(1)) : 0;
+      summary[`${survey.id}-unscored`] = row[`${survey.id}-unscored`] || 0;
+    });
+    return summary;
+  });
+}
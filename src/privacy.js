@@ -0,0 +1,117 @@
+import {createSeededRandom, digest} from './data.js';
+import {totalRange} from './instruments.js';
+
+export const DP_MECHANISMS = [
+  { id: 'laplace', name: 'Laplace (ε-DP)' },
+  { id: 'gaussian', name: 'Gaussian ((ε, δ)-DP)' },
+];
+
+export const DEFAULT_DP_SETTINGS = {
+  enabled: false,
+  mechanism: 'laplace',
+  epsilonPerQuery: 0.5,
+  delta: 1e-5,
+  sessionBudget: 5,
+};
+
+// One student moves a survey total by at most the top of the instrument's total range.
+export function surveyMaxTotal(survey) {
+  return totalRange(survey).max;
+}
+
+export function noiseScale(mechanism, sensitivity, epsilon, delta) {
+  if (mechanism === 'gaussian') {
+    return (sensitivity * Math.sqrt(2 * Math.log(1.25 / delta))) / epsilon;
+  }
+  return sensitivity / epsilon;
+}
+
+export function noiseVariance(mechanism, scale) {
+  return mechanism === 'gaussian' ? scale ** 2 : 2 * scale ** 2;
+}
+
+function sampleNoise(mechanism, scale, random) {
+  if (mechanism === 'gaussian') {
+    const u1 = Math.max(random(), Number.MIN_VALUE);
+    const u2 = random();
+    return scale * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+  const u = Math.min(Math.max(random() - 0.5, -0.4999999), 0.4999999);
+  return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+}
+
+// Secret for this page session only; never shown, exported or written to a link.
+const sessionKey = Array.from(crypto.getRandomValues(new Uint32Array(4)), (word) => word.toString(16)).join('');
+
+/**
+ * Noise stream for one release, seeded from the session secret so that the public fingerprint and
+ * query parameters are not enough to regenerate and subtract it. Repeated queries get the same
+ * answer from the ledger's cached release, so the noise cannot be averaged away either.
+ */
+export function createNoiseSource(fingerprint, signature) {
+  return createSeededRandom(parseInt(digest(`${sessionKey}|${fingerprint}|${signature}`).slice(0, 8), 16));
+}
+
+/*
+ * ε a query really spends. Groups partition records, not students: grouping always splits by wave,
+ * so a UID with k records in the selection sits in k groups and the per-group ε composes k times.
+ */
+export function queryEpsilon(records, epsilon) {
+  const perUid = new Map();
+  let most = 1;
+  records.forEach((record) => {
+    const count = (perUid.get(record.uid) || 0) + 1;
+    perUid.set(record.uid, count);
+    if (count > most) most = count;
+  });
+  return epsilon * most;
+}
+
+/**
+ * Differentially private summary of one group of responses.
+ *
+ * Each survey releases a noisy count, sum and sum of squares of its totals; the query's ε and δ are
+ * split evenly across those releases (sequential composition). Groups are disjoint sets of records, so
+ * each group uses the full per-query ε; the ledger charges `queryEpsilon` for students with records
+ * in several groups. Callers summarise every group in the query's domain, empty ones included, so
+ * which groups have records is not disclosed. The row N is the smallest noisy survey count. The
+ * normal-approximation CI adds the noise variance (delta method on sum / count) to the sampling
+ * variance estimated from the noisy moments.
+ */
+export function privateSummary(group, surveys, { mechanism, epsilon, delta, random }) {
+  const epsilonPerRelease = epsilon / (surveys.length * 3);
+  const deltaPerRelease = delta / (surveys.length * 3);
+  const summary = {};
+  surveys.forEach((survey) => {
+    const max = surveyMaxTotal(survey);
+    const totals = group
+        .map((entry) => entry[`${survey.id}-total`])
+        .filter((value) => Number.isFinite(value))
+        .map((value) => Math.min(Math.max(value, 0), max));
+    const countScale = noiseScale(mechanism, 1, epsilonPerRelease, deltaPerRelease);
+    const sumScale = noiseScale(mechanism, max, epsilonPerRelease, deltaPerRelease);
+    const squareScale = noiseScale(mechanism, max ** 2, epsilonPerRelease, deltaPerRelease);
+
+    const noisyCount = totals.length + sampleNoise(mechanism, countScale, random);
+    const noisySum = totals.reduce((a, b) => a + b, 0) + sampleNoise(mechanism, sumScale, random);
+    const noisySquares = totals.reduce((a, b) => a + b ** 2, 0) + sampleNoise(mechanism, squareScale, random);
+
+    const n = Math.max(0, Math.round(noisyCount));
+    const denominator = Math.max(noisyCount, 1);
+    const mean = Math.min(Math.max(noisySum / denominator, 0), max);
+    const variance = Math.min(
+        Math.max((noisySquares - denominator * mean ** 2) / Math.max(denominator - 1, 1), 0),
+        (max / 2) ** 2,
+    );
+    const samplingVariance = variance / denominator;
+    const noiseVar = (noiseVariance(mechanism, sumScale) + mean ** 2 * noiseVariance(mechanism, countScale)) / denominator ** 2;
+
+    summary[`${survey.id}-total`] = Number((mean * n).toFixed(2));
+    summary[`${survey.id}-n`] = n;
+    summary[`${survey.id}-mean`] = Number(mean.toFixed(2));
+    const margin = 1.96 * Math.sqrt(samplingVariance + noiseVar);
+    summary[`${survey.id}-ciLow`] = Number((mean - margin).toFixed(2));
+    summary[`${survey.id}-ciHigh`] = Number((mean + margin).toFixed(2));
+  });
+  return { n: Math.min(...surveys.map((survey) => summary[`${survey.id}-n`])), ...summary };
+}
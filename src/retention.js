@@ -0,0 +1,127 @@
+import {isAnswered} from './missing.js';
+
+/**
+ * One entry per UID with the waves it responded in (`responded[i]` for `waves[i]`) and its first
+ * response, which carries the school, yeargroup and ethnicity. UIDs without any response are not in
+ * the relabelled data and so cannot appear here.
+ */
+export function buildResponsePatterns(responses, waves) {
+  const waveIndex = new Map(waves.map((wave, idx) => [wave, idx]));
+  const byUid = new Map();
+  responses.forEach((response) => {
+    const idx = waveIndex.get(response.wave);
+    if (idx === undefined) return;
+    if (!byUid.has(response.uid)) {
+      byUid.set(response.uid, {
+        uid: response.uid,
+        schoolId: response.schoolId,
+        yearGroup: response.yearGroup,
+        ethnicity: response.ethnicity,
+        responded: waves.map(() => false),
+        responses: waves.map(() => null),
+      });
+    }
+    const entry = byUid.get(response.uid);
+    entry.responded[idx] = true;
+    entry.responses[idx] = response;
+  });
+  return [...byUid.values()].map((entry) => ({
+    ...entry,
+    pattern: entry.responded.map((responded) => (responded ? '●' : '○')).join(''),
+  }));
+}
+
+export function countPatterns(patterns) {
+  const counts = new Map();
+  patterns.forEach((entry) => counts.set(entry.pattern, (counts.get(entry.pattern) || 0) + 1));
+  return [...counts.entries()]
+      .map(([pattern, count]) => ({ pattern, count, share: Number(((100 * count) / patterns.length).toFixed(1)) }))
+      .sort((a, b) => b.count - a.count);
+}
+
+/*
+ * Sankey graph of wave-to-wave response states: one "responded" and one "missed" node per wave,
+ * linked by the number of UIDs moving between consecutive states.
+ */
+export function buildRetentionFlow(patterns, waves) {
+  const nodes = waves.flatMap((wave) => [
+    { id: `${wave}|responded`, label: `${wave}: responded`, responded: true },
+    { id: `${wave}|missed`, label: `${wave}: missed`, responded: false },
+  ]);
+  const indexOf = new Map(nodes.map((node, idx) => [node.id, idx]));
+  const state = (entry, idx) => `${waves[idx]}|${entry.responded[idx] ? 'responded' : 'missed'}`;
+  const counts = new Map();
+  patterns.forEach((entry) => {
+    for (let idx = 0; idx < waves.length - 1; idx += 1) {
+      const key = `${state(entry, idx)}→${state(entry, idx + 1)}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+  const links = [...counts.entries()].map(([key, value]) => {
+    const [source, target] = key.split('→');
+    return { source: indexOf.get(source), target: indexOf.get(target), value, retained: target.endsWith('|responded') };
+  });
+  return { nodes, links };
+}
+
+/**
+ * Retention of baseline (first-wave) respondents by group: how many of them responded again in each
+ * later wave, and in every wave.
+ */
+export function retentionRates(patterns, waves, field) {
+  const groups = new Map();
+  patterns.filter((entry) => entry.responded[0]).forEach((entry) => {
+    const key = field ? entry[field] : 'All students';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  const percent = (count, total) => (total ? Number(((100 * count) / total).toFixed(1)) : null);
+  return [...groups.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([group, entries]) => {
+        const row = { group, baseline: entries.length };
+        waves.slice(1).forEach((wave, offset) => {
+          const count = entries.filter((entry) => entry.responded[offset + 1]).length;
+          row[`${wave}-n`] = count;
+          row[`${wave}-pct`] = percent(count, entries.length);
+        });
+        row.allWaves = entries.filter((entry) => entry.responded.every(Boolean)).length;
+        row.allWavesPct = percent(row.allWaves, entries.length);
+        return row;
+      });
+}
+
+function describe(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((a, b) => a + b, 0) / n : null;
+  const sd = n > 1 ? Math.sqrt(values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (n - 1)) : null;
+  return { n, mean, sd };
+}
+
+/**
+ * Baseline scores of students who stayed (responded in the first and last wave) against those who
+ * dropped out (responded in the first wave but not the last). The difference is stayers minus
+ * dropouts with a normal-approximation 95% CI; `d` is the pooled-SD standardised difference.
+ */
+export function compareBaseline(patterns, surveys) {
+  const last = patterns[0]?.responded.length - 1;
+  const baseline = patterns.filter((entry) => entry.responded[0]);
+  const stayers = baseline.filter((entry) => entry.responded[last]);
+  const dropouts = baseline.filter((entry) => !entry.responded[last]);
+  const totalsOf = (entries, survey) => entries
+      .map((entry) => entry.responses[0][`${survey.id}-total`])
+      .filter(isAnswered);
+
+  return surveys.map((survey) => {
+    const stayed = describe(totalsOf(stayers, survey));
+    const dropped = describe(totalsOf(dropouts, survey));
+    const row = { surveyId: survey.id, survey: survey.name, stayed, dropped, difference: null, ci95: null, d: null };
+    if (stayed.n > 1 && dropped.n > 1) {
+      row.difference = stayed.mean - dropped.mean;
+      row.ci95 = 1.96 * Math.sqrt(stayed.sd ** 2 / stayed.n + dropped.sd ** 2 / dropped.n);
+      const pooled = Math.sqrt(((stayed.n - 1) * stayed.sd ** 2 + (dropped.n - 1) * dropped.sd ** 2) / (stayed.n + dropped.n - 2));
+      row.d = pooled > 0 ? row.difference / pooled : null;
+    }
+    return row;
+  });
+}
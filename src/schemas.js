@@ -0,0 +1,220 @@
+import {bandCountKey, bandShareBoundKeys, bandShareKey} from './data.js';
+import {bandKey, itemKey, itemNumbers, subscaleKey, totalRange} from './instruments.js';
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+function rangeOf({ min, max }) {
+  return { minimum: min, maximum: max };
+}
+
+function itemProperties(surveys) {
+  const properties = {};
+  surveys.forEach((survey) => {
+    const { min, max } = survey.responseRange;
+    properties[`${survey.id}-total`] = { type: ['integer', 'null'], ...rangeOf(totalRange(survey)) };
+    if (survey.severityBands.length > 0) properties[bandKey(survey)] = { enum: [...survey.severityBands.map((band) => band.id), null] };
+    survey.subscales.forEach((subscale) => {
+      properties[subscaleKey(survey, subscale)] = { type: ['integer', 'null'], minimum: min * subscale.items.length, maximum: max * subscale.items.length };
+    });
+    itemNumbers(survey).forEach((item) => {
+      properties[itemKey(survey, item)] = { type: ['integer', 'null'], minimum: min, maximum: max, description: survey.itemWording[item - 1] };
+    });
+  });
+  return properties;
+}
+
+function aggregateProperties(surveys) {
+  const properties = {};
+  surveys.forEach((survey) => {
+    properties[`${survey.id}-n`] = { type: 'integer', minimum: 0 };
+    properties[`${survey.id}-total`] = { type: 'number', minimum: 0 };
+    properties[`${survey.id}-sumOfSquares`] = { type: 'number', minimum: 0 };
+    properties[`${survey.id}-mean`] = { type: ['number', 'null'], ...rangeOf(totalRange(survey)) };
+    // A t or noisy interval can reach past the total range, so its bounds are not range-checked.
+    properties[`${survey.id}-ciLow`] = { type: ['number', 'null'] };
+    properties[`${survey.id}-ciHigh`] = { type: ['number', 'null'] };
+    survey.severityBands.forEach((band) => {
+      properties[bandCountKey(survey, band)] = { type: ['integer', 'null'], minimum: 0 };
+      properties[bandShareKey(survey, band)] = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+      bandShareBoundKeys(survey, band).forEach((key) => {
+        properties[key] = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+      });
+    });
+  });
+  return properties;
+}
+
+function tableSchema(id, title, items) {
+  return { $schema: SCHEMA_DIALECT, $id: `ib-data-mockup/${id}.schema.json`, title, type: 'array', items };
+}
+
+/**
+ * JSON Schemas for every table returned by `buildDataset`, specialised to the scenario (school ids,
+ * yeargroups, waves, survey item counts). `x-references` is a local keyword naming the table and
+ * field a value must exist in; plain JSON Schema tools ignore it.
+ */
+export function buildDatasetSchemas(scenario) {
+  const schoolId = { type: 'string', enum: scenario.schools.map((school) => school.id) };
+  const yearGroup = { type: 'string', enum: [...scenario.yearGroups] };
+  const wave = { type: 'string', enum: [...scenario.waves] };
+  const ethnicity = { type: 'string', minLength: 1 };
+  const studentRef = { type: 'string', minLength: 1, 'x-references': { table: 'students', field: 'id' } };
+  const uid = { type: 'string', pattern: '^UID-\\d{5,}$', 'x-references': { table: 'rewriteMap', field: 'uid' } };
+  const itemFields = itemProperties(scenario.surveys);
+  const aggregate = (ethnicitySchema) => ({
+    type: 'object',
+    required: ['schoolId', 'yearGroup', 'ethnicity', 'wave', 'n', 'suppressed', 'suppressionType', 'notes',
+      ...Object.keys(aggregateProperties(scenario.surveys))],
+    properties: {
+      schoolId,
+      yearGroup,
+      ethnicity: ethnicitySchema,
+      wave,
+      n: { type: 'integer', minimum: 0 },
+      ...aggregateProperties(scenario.surveys),
+      suppressed: { type: 'boolean' },
+      suppressionType: { enum: ['primary', 'secondary', null] },
+      notes: { type: 'string' },
+    },
+  });
+
+  return {
+    students: tableSchema('students', 'Students', {
+      type: 'object',
+      required: ['id', 'schoolId', 'yearGroup', 'name', 'ethnicity'],
+      properties: { id: { type: 'string', minLength: 1 }, schoolId, yearGroup, name: { type: 'string' }, ethnicity },
+    }),
+    credentials: tableSchema('credentials', 'ID + Password combinations', {
+      type: 'object',
+      required: ['schoolId', 'id', 'password'],
+      properties: { schoolId, id: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } },
+    }),
+    studentCredentials: tableSchema('studentCredentials', 'ID + Password + Student combinations', {
+      type: 'object',
+      required: ['schoolId', 'id', 'password', 'studentId', 'name', 'yearGroup', 'ethnicity'],
+      properties: {
+        schoolId,
+        id: { type: 'string', minLength: 1, 'x-references': { table: 'credentials', field: 'id' } },
+        password: { type: 'string', minLength: 1 },
+        studentId: studentRef,
+        name: { type: 'string' },
+        yearGroup,
+        ethnicity,
+      },
+    }),
+    rewriteMap: tableSchema('rewriteMap', 'ID Rewrite Map', {
+      type: 'object',
+      required: ['schoolId', 'studentId', 'ethnicity', 'uid'],
+      properties: { schoolId, studentId: studentRef, ethnicity, uid: { type: 'string', pattern: '^UID-\\d{5,}$' } },
+    }),
+    surveyResponses: tableSchema('surveyResponses', 'Labelled student survey responses', {
+      type: 'object',
+      required: ['studentId', 'schoolId', 'yearGroup', 'ethnicity', 'wave', ...Object.keys(itemFields)],
+      properties: { studentId: studentRef, schoolId, yearGroup, ethnicity, wave, ...itemFields },
+    }),
+    relabelledSurveyResponses: tableSchema('relabelledSurveyResponses', 'Relabelled student survey responses', {
+      type: 'object',
+      required: ['uid', 'schoolId', 'yearGroup', 'ethnicity', 'wave', ...Object.keys(itemFields)],
+      properties: { uid, studentId: false, schoolId, yearGroup, ethnicity, wave, ...itemFields },
+    }),
+    staticAggregated: tableSchema('staticAggregated', 'Static aggregated data (by ethnicity)', aggregate(ethnicity)),
+    staticAggregatedAgnostic: tableSchema('staticAggregatedAgnostic', 'Static aggregated data (all ethnicities)',
+        aggregate({ const: 'All ethnicities' })),
+    dynamicAggregated: tableSchema('dynamicAggregated', 'Dynamic aggregated data (by ethnicity)', aggregate(ethnicity)),
+    dynamicAggregatedAgnostic: tableSchema('dynamicAggregatedAgnostic', 'Dynamic aggregated data (all ethnicities)',
+        aggregate({ const: 'All ethnicities' })),
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/*
+ * Validator for the subset of JSON Schema used above: type, enum, const, minimum, maximum,
+ * minLength, pattern, required, properties (including `false`), items and x-references.
+ * Properties holding `undefined` count as absent, as they would after JSON serialisation.
+ */
+function check(value, schema, path, context, report) {
+  if (schema === false) {
+    if (value !== undefined) report(path, 'forbidden', 'Field must not be present.');
+    return;
+  }
+  if (schema.type && !(Array.isArray(schema.type) ? schema.type : [schema.type]).some((type) => matchesType(value, type))) {
+    report(path, 'type', `Expected ${[schema.type].flat().join(' or ')}, got ${typeOf(value)} (${JSON.stringify(value)}).`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(path, 'enum', `${JSON.stringify(value)} is not one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}.`);
+  }
+  if ('const' in schema && value !== schema.const) {
+    report(path, 'const', `Expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}.`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) report(path, 'range', `${value} is below ${schema.minimum}.`);
+    if (schema.maximum !== undefined && value > schema.maximum) report(path, 'range', `${value} is above ${schema.maximum}.`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) report(path, 'minLength', 'Empty value.');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(path, 'pattern', `${JSON.stringify(value)} does not match ${schema.pattern}.`);
+    }
+  }
+  const reference = schema['x-references'];
+  if (reference && value !== undefined) {
+    const known = context.lookup(reference.table, reference.field);
+    if (!known.has(value)) report(path, 'reference', `${JSON.stringify(value)} has no entry in ${reference.table}.${reference.field}.`);
+  }
+  if (schema.type === 'object' && value && typeof value === 'object') {
+    (schema.required || []).forEach((field) => {
+      if (value[field] === undefined) report(`${path}.${field}`, 'required', 'Missing required field.');
+    });
+    Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+      if (value[field] === undefined && fieldSchema !== false) return;
+      check(value[field], fieldSchema, `${path}.${field}`, context, report);
+    });
+  }
+  if (schema.type === 'array' && Array.isArray(value) && schema.items) {
+    value.forEach((entry, idx) => check(entry, schema.items, `${path}[${idx}]`, context, report));
+  }
+}
+
+/**
+ * Check each table of a dataset against its schema. Returns per-table row counts and the list of
+ * violations ({ table, row, field, rule, message }); rows are 1-based.
+ */
+export function validateDataset(dataset, schemas = buildDatasetSchemas(dataset.scenario)) {
+  const indexes = new Map();
+  const context = {
+    lookup(table, field) {
+      const key = `${table}.${field}`;
+      if (!indexes.has(key)) indexes.set(key, new Set((dataset[table] || []).map((row) => row[field])));
+      return indexes.get(key);
+    },
+  };
+  const violations = [];
+  const tables = Object.entries(schemas).map(([table, schema]) => {
+    const rows = dataset[table];
+    const before = violations.length;
+    check(rows, schema, table, context, (path, rule, message) => {
+      const match = /^[^[]+\[(\d+)\](?:\.(.+))?$/.exec(path);
+      violations.push({
+        table,
+        row: match ? Number(match[1]) + 1 : null,
+        field: match ? match[2] || '' : '',
+        rule,
+        message,
+      });
+    });
+    return { table, title: schema.title, rows: Array.isArray(rows) ? rows.length : 0, violations: violations.length - before };
+  });
+  return { tables, violations };
+}
@@ -0,0 +1,377 @@
+/*
+ * Inferential statistics for the dynamic view: Welch t-tests and ANOVA between groups and a linear
+ * mixed model with a random intercept per UID, fitted by REML. Distribution functions are computed
+ * here (no statistics library is bundled), accurate to well beyond the 3–4 decimals that are shown.
+ */
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+export function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  const t = z + 7.5;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i += 1) sum += LANCZOS[i] / (z + i);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/* Continued fraction for the incomplete beta function (modified Lentz). */
+function betaFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+  for (let m = 1; m <= 300; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a - 1 + m2) * (a + m2));
+    d = 1 + aa * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + 1 + m2));
+    d = 1 + aa * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    const step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < 3e-14) break;
+  }
+  return h;
+}
+
+/* Regularised incomplete beta function I_x(a, b). */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+      ? (front * betaFraction(a, b, x)) / a
+      : 1 - (front * betaFraction(b, a, 1 - x)) / b;
+}
+
+/* Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8). */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const upper = (Math.exp(-(z ** 2) / 2) / Math.sqrt(2 * Math.PI)) * poly;
+  return z >= 0 ? 1 - upper : upper;
+}
+
+/* Two-sided p-value of a t statistic; very large df fall back to the normal distribution. */
+export function tTestP(t, df) {
+  if (!Number.isFinite(t) || !(df > 0)) return null;
+  if (df > 1e6) return 2 * (1 - normalCdf(Math.abs(t)));
+  return incompleteBeta(df / (df + t ** 2), df / 2, 0.5);
+}
+
+/* Upper-tail p-value of an F statistic. */
+export function fTestP(f, df1, df2) {
+  if (!Number.isFinite(f) || !(df1 > 0) || !(df2 > 0)) return null;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+const criticalValues = new Map();
+
+/*
+ * Critical value t such that a two-sided interval at `level` covers ±t (bisection on tTestP).
+ * Cached per df and level, since every cell of a large table asks for one of a few hundred df.
+ */
+export function tCritical(df, level = 0.95) {
+  const key = `${df}|${level}`;
+  if (criticalValues.has(key)) return criticalValues.get(key);
+  const alpha = 1 - level;
+  let low = 0;
+  let high = 1e3;
+  for (let i = 0; i < 100; i += 1) {
+    const mid = (low + high) / 2;
+    if (tTestP(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  const value = (low + high) / 2;
+  criticalValues.set(key, value);
+  return value;
+}
+
+export function describeSample(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((a, b) => a + b, 0) / n : null;
+  const variance = n > 1 ? values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (n - 1) : null;
+  return { n, mean, variance, sd: variance === null ? null : Math.sqrt(variance) };
+}
+
+/**
+ * Welch's unequal-variance t-test of a − b. Returns the mean difference with its 95% CI, t, the
+ * Welch–Satterthwaite df, the two-sided p and Hedges' g (pooled-SD standardised difference with the
+ * small-sample correction). Null when either sample has fewer than two values or no spread.
+ */
+export function welchTTest(a, b) {
+  const x = describeSample(a);
+  const y = describeSample(b);
+  if (x.n < 2 || y.n < 2) return null;
+  const vx = x.variance / x.n;
+  const vy = y.variance / y.n;
+  const se = Math.sqrt(vx + vy);
+  if (!(se > 0)) return null;
+  const difference = x.mean - y.mean;
+  const df = (vx + vy) ** 2 / (vx ** 2 / (x.n - 1) + vy ** 2 / (y.n - 1));
+  const t = difference / se;
+  const margin = tCritical(df) * se;
+  const pooled = Math.sqrt(((x.n - 1) * x.variance + (y.n - 1) * y.variance) / (x.n + y.n - 2));
+  const correction = 1 - 3 / (4 * (x.n + y.n) - 9);
+  return {
+    n: [x.n, y.n],
+    means: [x.mean, y.mean],
+    difference,
+    ci: [difference - margin, difference + margin],
+    t,
+    df,
+    p: tTestP(t, df),
+    g: pooled > 0 ? (difference / pooled) * correction : null,
+  };
+}
+
+/**
+ * Welch's heteroscedastic one-way ANOVA across two or more samples. Effect size is η² (between-group
+ * over total sum of squares). Null when fewer than two samples have two or more values with spread.
+ */
+export function welchAnova(samples) {
+  const groups = samples.map(describeSample).filter((entry) => entry.n > 1 && entry.variance > 0);
+  const k = groups.length;
+  if (k < 2) return null;
+  const weights = groups.map((entry) => entry.n / entry.variance);
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  const weightedMean = groups.reduce((acc, entry, idx) => acc + weights[idx] * entry.mean, 0) / totalWeight;
+  const between = groups.reduce((acc, entry, idx) => acc + weights[idx] * (entry.mean - weightedMean) ** 2, 0) / (k - 1);
+  const lambda = groups.reduce((acc, entry, idx) => acc + (1 - weights[idx] / totalWeight) ** 2 / (entry.n - 1), 0);
+  const f = between / (1 + ((2 * (k - 2)) / (k ** 2 - 1)) * lambda);
+  const df1 = k - 1;
+  const df2 = (k ** 2 - 1) / (3 * lambda);
+
+  const n = groups.reduce((acc, entry) => acc + entry.n, 0);
+  const grandMean = groups.reduce((acc, entry) => acc + entry.n * entry.mean, 0) / n;
+  const ssBetween = groups.reduce((acc, entry) => acc + entry.n * (entry.mean - grandMean) ** 2, 0);
+  const ssWithin = groups.reduce((acc, entry) => acc + (entry.n - 1) * entry.variance, 0);
+  return { groups: k, n, f, df1, df2, p: fTestP(f, df1, df2), etaSquared: ssBetween / (ssBetween + ssWithin) };
+}
+
+/* Holm–Bonferroni adjusted p-values, in the order given. */
+export function holmAdjust(pValues) {
+  const order = pValues.map((p, idx) => [p, idx]).filter(([p]) => p !== null).sort((a, b) => a[0] - b[0]);
+  const adjusted = pValues.map(() => null);
+  let running = 0;
+  order.forEach(([p, idx], rank) => {
+    running = Math.max(running, Math.min(1, (order.length - rank) * p));
+    adjusted[idx] = running;
+  });
+  return adjusted;
+}
+
+/* Lower-triangular Cholesky factor of a symmetric matrix, or null when it is not positive definite. */
+function cholesky(matrix) {
+  const size = matrix.length;
+  const factor = matrix.map(() => new Float64Array(size));
+  for (let i = 0; i < size; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k += 1) sum -= factor[i][k] * factor[j][k];
+      if (i === j) {
+        if (!(sum > 1e-10 * Math.max(1, Math.abs(matrix[i][i])))) return null;
+        factor[i][i] = Math.sqrt(sum);
+      } else {
+        factor[i][j] = sum / factor[j][j];
+      }
+    }
+  }
+  return factor;
+}
+
+function choleskySolve(factor, vector) {
+  const size = factor.length;
+  const y = new Float64Array(size);
+  for (let i = 0; i < size; i += 1) {
+    let sum = vector[i];
+    for (let k = 0; k < i; k += 1) sum -= factor[i][k] * y[k];
+    y[i] = sum / factor[i][i];
+  }
+  const x = new Float64Array(size);
+  for (let i = size - 1; i >= 0; i -= 1) {
+    let sum = y[i];
+    for (let k = i + 1; k < size; k += 1) sum -= factor[k][i] * x[k];
+    x[i] = sum / factor[i][i];
+  }
+  return x;
+}
+
+function choleskyInverse(factor) {
+  return factor.map((_, idx) => choleskySolve(factor, factor.map((__, j) => (j === idx ? 1 : 0))));
+}
+
+function invertSymmetric(matrix) {
+  const factor = cholesky(matrix);
+  return factor ? choleskyInverse(factor) : null;
+}
+
+/*
+ * Treatment-coded design for total ~ wave × group: intercept, wave and group effects against the
+ * first level of each, and their interactions. Columns that are all zero (wave × group cells with no
+ * observations) are dropped. Rows keep only their non-zero column indices, since every row is 0/1.
+ */
+function waveGroupDesign(observations, waves, groups) {
+  const columns = [{ name: '(Intercept)', term: null, match: () => true }];
+  waves.slice(1).forEach((wave) => columns.push({ name: `wave ${wave}`, term: 'wave', match: (o) => o.wave === wave }));
+  groups.slice(1).forEach((group) => columns.push({ name: group, term: 'group', match: (o) => o.group === group }));
+  waves.slice(1).forEach((wave) => groups.slice(1).forEach((group) => columns.push({
+    name: `wave ${wave} × ${group}`,
+    term: 'wave × group',
+    match: (o) => o.wave === wave && o.group === group,
+  })));
+  const present = columns.filter((column) => observations.some(column.match));
+  const rowsFor = (used) => observations.map((o) => used.flatMap((column, idx) => (column.match(o) ? [idx] : [])));
+
+  // A group seen in only some waves makes its interaction columns repeat its main effect; like R's lm,
+  // keep each column only if it is not a combination of the ones before it and report the rest as aliased.
+  const rows = rowsFor(present);
+  const cross = present.map(() => new Float64Array(present.length));
+  rows.forEach((active) => active.forEach((i) => active.forEach((j) => { cross[i][j] += 1; })));
+  const kept = [];
+  const aliased = [];
+  present.forEach((column, idx) => {
+    const candidate = [...kept, idx];
+    if (cholesky(candidate.map((i) => candidate.map((j) => cross[i][j])))) kept.push(idx);
+    else aliased.push(column.name);
+  });
+  const used = kept.map((idx) => present[idx]);
+  return { columns: used, rows: rowsFor(used), aliased };
+}
+
+/**
+ * Linear mixed model y ~ wave × group + (1 | uid) fitted by REML.
+ *
+ * With a random intercept the covariance of one UID's n observations is σ²(I + λJ), whose inverse is
+ * (I − c·J)/σ² with c = λ / (1 + nλ), so the GLS normal equations only need per-UID column sums. The
+ * REML criterion is profiled over σ² and minimised over log λ (grid, then golden-section search);
+ * λ = 0 is also tried, as the variance of the random intercept may sit on the boundary. Fixed effects
+ * are tested with Wald t-tests and each term with a Wald F-test, both on the residual N − p df.
+ * Columns that cannot be estimated from the observed cells are listed in `aliased`.
+ *
+ * `observations` are `{ uid, wave, group, y }`. Throws an Error when the model cannot be fitted.
+ */
+export function fitMixedModel(observations, { waves, groups }) {
+  const usedWaves = waves.filter((wave) => observations.some((o) => o.wave === wave));
+  const usedGroups = groups.filter((group) => observations.some((o) => o.group === group));
+  const { columns, rows, aliased } = waveGroupDesign(observations, usedWaves, usedGroups);
+  const p = columns.length;
+  const n = observations.length;
+  if (n <= p) throw new Error(`The model needs more than ${p} observations; only ${n} are available`);
+
+  const xtx = columns.map(() => new Float64Array(p));
+  const xty = new Float64Array(p);
+  let yty = 0;
+  const subjects = new Map();
+  observations.forEach((o, idx) => {
+    const active = rows[idx];
+    active.forEach((i) => {
+      active.forEach((j) => { xtx[i][j] += 1; });
+      xty[i] += o.y;
+    });
+    yty += o.y ** 2;
+    if (!subjects.has(o.uid)) subjects.set(o.uid, { n: 0, ySum: 0, sums: new Map() });
+    const subject = subjects.get(o.uid);
+    subject.n += 1;
+    subject.ySum += o.y;
+    active.forEach((i) => subject.sums.set(i, (subject.sums.get(i) || 0) + 1));
+  });
+  const subjectList = [...subjects.values()].map((subject) => ({ ...subject, sums: [...subject.sums.entries()] }));
+
+  const evaluate = (lambda) => {
+    const a = xtx.map((row) => Float64Array.from(row));
+    const b = Float64Array.from(xty);
+    let ywy = yty;
+    let logDetH = 0;
+    subjectList.forEach((subject) => {
+      const c = lambda / (1 + subject.n * lambda);
+      logDetH += Math.log(1 + subject.n * lambda);
+      if (c === 0) return;
+      subject.sums.forEach(([i, si]) => {
+        subject.sums.forEach(([j, sj]) => { a[i][j] -= c * si * sj; });
+        b[i] -= c * si * subject.ySum;
+      });
+      ywy -= c * subject.ySum ** 2;
+    });
+    const factor = cholesky(a);
+    if (!factor) return null;
+    const beta = choleskySolve(factor, b);
+    const rss = ywy - beta.reduce((acc, value, idx) => acc + value * b[idx], 0);
+    const logDetA = 2 * factor.reduce((acc, row, idx) => acc + Math.log(row[idx]), 0);
+    const criterion = (n - p) * Math.log(rss / (n - p)) + logDetH + logDetA;
+    return { lambda, factor, beta, rss, criterion };
+  };
+
+  const boundary = evaluate(0);
+  if (!boundary) throw new Error('The wave × group design is rank deficient for the selected data');
+  let best = boundary;
+  const grid = Array.from({ length: 25 }, (_, idx) => -10 + (idx * 14) / 24);
+  let bestLog = null;
+  grid.forEach((logLambda) => {
+    const fit = evaluate(Math.exp(logLambda));
+    if (fit && fit.criterion < best.criterion) {
+      best = fit;
+      bestLog = logLambda;
+    }
+  });
+  if (bestLog !== null) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = bestLog - 14 / 24;
+    let high = bestLog + 14 / 24;
+    for (let i = 0; i < 40; i += 1) {
+      const left = high - ratio * (high - low);
+      const right = low + ratio * (high - low);
+      const fl = evaluate(Math.exp(left));
+      const fr = evaluate(Math.exp(right));
+      if (!fl || !fr) break;
+      if (fl.criterion < fr.criterion) high = right;
+      else low = left;
+    }
+    const refined = evaluate(Math.exp((low + high) / 2));
+    if (refined && refined.criterion < best.criterion) best = refined;
+  }
+
+  const df = n - p;
+  const residualVariance = best.rss / df;
+  const interceptVariance = best.lambda * residualVariance;
+  const unscaled = choleskyInverse(best.factor);
+  const coefficients = columns.map((column, idx) => {
+    const se = Math.sqrt(residualVariance * unscaled[idx][idx]);
+    const t = best.beta[idx] / se;
+    return { term: column.name, estimate: best.beta[idx], se, t, df, p: tTestP(t, df) };
+  });
+  const terms = ['wave', 'group', 'wave × group'].flatMap((term) => {
+    const indices = columns.flatMap((column, idx) => (column.term === term ? [idx] : []));
+    if (indices.length === 0) return [];
+    const inverse = invertSymmetric(indices.map((i) => indices.map((j) => residualVariance * unscaled[i][j])));
+    if (!inverse) return [];
+    const estimates = indices.map((i) => best.beta[i]);
+    const quadratic = estimates.reduce((acc, ei, i) => acc + ei * estimates.reduce((inner, ej, j) => inner + inverse[i][j] * ej, 0), 0);
+    const f = quadratic / indices.length;
+    return [{ term, f, df1: indices.length, df2: df, p: fTestP(f, indices.length, df) }];
+  });
+  return {
+    observations: n,
+    subjects: subjectList.length,
+    waves: usedWaves,
+    groups: usedGroups,
+    coefficients,
+    aliased,
+    terms,
+    interceptVariance,
+    residualVariance,
+    icc: interceptVariance / (interceptVariance + residualVariance),
+    logLikelihood: -0.5 * (best.criterion + df + df * Math.log(2 * Math.PI)),
+  };
+}